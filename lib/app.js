@@ -0,0 +1,311 @@
+const express = require("express");
+const path = require("path");
+const fs = require("fs");
+const zlib = require("zlib");
+const stream = require("stream");
+const { listBuilds, findBuild, isSegment, resolveBuildFile, STREAMING_ASSETS_DIR } = require("./manifest");
+const { HttpError, sendError, notFound, errorHandler } = require("./errors");
+const { createImageRouter } = require("./uploads");
+const { renderLoaderPage } = require("./loader-page");
+const { createMetrics } = require("./metrics");
+const { createDeployRouter } = require("./deploy");
+
+// Precompressed extension -> Content-Encoding
+const ENCODINGS = {
+  ".gz": "gzip",
+  ".br": "br",
+};
+
+// Content-Encoding -> zlib stream used when the client can't accept it
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  br: () => zlib.createBrotliDecompress(),
+};
+
+// Unity build file suffix (without compression extension) -> Content-Type
+const BUILD_TYPES = [
+  [".framework.js", "application/javascript"],
+  [".loader.js", "application/javascript"],
+  [".wasm", "application/wasm"],
+  [".data", "application/octet-stream"],
+  [".symbols.json", "application/json"],
+];
+
+// Versioned ("4.4.data.gz") or content-hashed build files never change in
+// place; neither does anything under /builds/<name>/<version>/
+const IMMUTABLE_BUILD = /^(\d+(\.\d+)+\.|[0-9a-f]{32}\.)/i;
+
+function buildContentType(name) {
+  const match = BUILD_TYPES.find(([suffix]) => name.endsWith(suffix));
+  return match ? match[1] : null;
+}
+
+// Strong ETag from size + mtime. The decompressed representation gets its own
+// tag so caches never mix it up with the precompressed bytes.
+function buildETag(stat, variant) {
+  const tag = `${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`;
+  return `"${variant ? `${tag}-${variant}` : tag}"`;
+}
+
+/**
+ * The Express app for an effective config (see lib/config.js). server.js only
+ * adds the listener and signal handling, so tests can build the app directly.
+ *
+ * Returns { app, metrics, startDraining }: startDraining() is called on
+ * SIGTERM / SIGINT, after which /healthz answers 503 (see shutdown() in
+ * server.js).
+ */
+function createApp(config) {
+  const app = express();
+  const ROOT = config.publicDir;
+  const BUILD = config.buildDir;
+  // Side-by-side builds: builds/<name>/<version>/<files>
+  const BUILDS = config.buildsDir;
+
+  function setValidators(res, immutable, stat, variant) {
+    res.setHeader("ETag", buildETag(stat, variant));
+    res.setHeader("Last-Modified", stat.mtime.toUTCString());
+    if (immutable && config.immutableMaxAge > 0) {
+      res.setHeader("Cache-Control", `public, max-age=${config.immutableMaxAge}, immutable`);
+    } else {
+      res.setHeader("Cache-Control", config.buildMaxAge > 0 ? `public, max-age=${config.buildMaxAge}` : "no-cache");
+    }
+  }
+
+  // ===== Access log + transfer counters (first, so every request is counted) =====
+  const metrics = createMetrics(config);
+  app.use(metrics.middleware);
+
+  // Set by startDraining(): /healthz answers 503 during the drain delay so
+  // load balancers stop routing here (see shutdown() in server.js)
+  let shuttingDown = false;
+  app.use((req, res, next) => {
+    // Keep-alive connections must not be reused once draining (HTTP/1.x only;
+    // HTTP/2 sessions get a GOAWAY instead)
+    if (shuttingDown && req.httpVersionMajor === 1) {
+      res.setHeader("Connection", "close");
+    }
+    next();
+  });
+
+  // ===== Security headers on every response =====
+  app.disable("x-powered-by");
+  app.use((req, res, next) => {
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Referrer-Policy", "same-origin");
+    next();
+  });
+
+  // ===== Cross-origin isolation (SharedArrayBuffer for threaded builds) =====
+  // COOP/COEP make the page isolated; CORP lets every subresource (TemplateData,
+  // StreamingAssets, build files) load under COEP. Set on all responses so
+  // documents, workers and fetches all agree.
+  if (config.crossOriginIsolation !== "off") {
+    app.use((req, res, next) => {
+      res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+      res.setHeader("Cross-Origin-Embedder-Policy", config.crossOriginIsolation);
+      res.setHeader("Cross-Origin-Resource-Policy", "same-origin");
+      next();
+    });
+  }
+
+  // Server side of the isolation diagnostics page (public/diagnostics.html)
+  app.get("/api/isolation", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      mode: config.crossOriginIsolation,
+      protocol: config.protocol,
+      headers: {
+        "Cross-Origin-Opener-Policy": res.getHeader("Cross-Origin-Opener-Policy") || null,
+        "Cross-Origin-Embedder-Policy": res.getHeader("Cross-Origin-Embedder-Policy") || null,
+        "Cross-Origin-Resource-Policy": res.getHeader("Cross-Origin-Resource-Policy") || null,
+      },
+    });
+  });
+
+  // ===== Serve Unity WebGL gzip / brotli files DIRECTLY =====
+  // `build` ("<name>/<version>") labels the file in the /status counters;
+  // `versioned` builds never change in place, whatever their file names
+  function serveBuildFile(req, res, dir, file, build, versioned) {
+    const filePath = resolveBuildFile(dir, file);
+
+    const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+    if (!stat || !stat.isFile()) {
+      throw new HttpError(404, "not_found", "Not found");
+    }
+    res.locals.buildFile = `${build}/${file}`;
+    const immutable = versioned || IMMUTABLE_BUILD.test(file);
+
+    // Set headers ONLY for precompressed files (.gz / .br)
+    const ext = path.extname(file);
+    const encoding = ENCODINGS[ext];
+    if (!encoding) {
+      const type = buildContentType(file);
+      if (type) {
+        res.setHeader("Content-Type", type);
+      }
+      setValidators(res, immutable, stat);
+      return res.sendFile(filePath);
+    }
+
+    res.setHeader("Vary", "Accept-Encoding");
+
+    const type = buildContentType(file.slice(0, -ext.length));
+    if (type) {
+      res.setHeader("Content-Type", type);
+    }
+
+    // Client accepts the precompressed bytes (and the format is enabled) -> pass
+    // them through. sendFile handles If-None-Match / If-Modified-Since (304) and
+    // Range (206) against the validators set here.
+    if (config.encodings.includes(encoding) && req.acceptsEncodings(encoding) === encoding) {
+      setValidators(res, immutable, stat);
+      res.setHeader("Content-Encoding", encoding);
+      return res.sendFile(filePath);
+    }
+
+    // Otherwise decompress on the fly (proxies / webviews without gzip or br).
+    // The decoded length is unknown up front, so no Range support here.
+    setValidators(res, immutable, stat, "identity");
+    res.setHeader("Accept-Ranges", "none");
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const source = fs.createReadStream(filePath);
+    const decoder = DECODERS[encoding]();
+    // A dropped connection must release the file descriptor and zlib state
+    res.on("close", () => {
+      source.destroy();
+      decoder.destroy();
+    });
+    // res stays out of the pipeline so a failure before the first byte can
+    // still be answered with the JSON error
+    stream.pipeline(source, decoder, (err) => {
+      if (!err || res.destroyed) return;
+      console.error(`Failed to decompress ${file}:`, err.message);
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        sendError(res, 500, "decompression_failed", "Decompression failed");
+      }
+    });
+    decoder.pipe(res);
+  }
+
+  app.get("/Build/:file", (req, res) => {
+    serveBuildFile(req, res, BUILD, req.params.file, "default/current", false);
+  });
+
+  app.get("/builds/:name/:version/:file", (req, res) => {
+    const { name, version, file } = req.params;
+    if (!isSegment(name) || !isSegment(version)) {
+      throw new HttpError(400, "invalid_path", "Invalid build name or version");
+    }
+    serveBuildFile(req, res, path.join(BUILDS, name, version), file, `${name}/${version}`, true);
+  });
+
+  // A deployed build's own StreamingAssets (manifest streamingAssetsUrl); any
+  // file type, any depth, immutable like the rest of the version
+  app.get(`/builds/:name/:version/${STREAMING_ASSETS_DIR}/*path`, (req, res) => {
+    const { name, version } = req.params;
+    const parts = req.params.path;
+    const invalid = (part) => !part || part === "." || part === ".." || /[/\\\0]/.test(part);
+    if (!isSegment(name) || !isSegment(version) || parts.some(invalid)) {
+      throw new HttpError(400, "invalid_path", "Invalid path");
+    }
+    res.sendFile(parts.join("/"), {
+      root: path.join(BUILDS, name, version, STREAMING_ASSETS_DIR),
+      maxAge: config.immutableMaxAge * 1000,
+      immutable: config.immutableMaxAge > 0,
+    });
+  });
+
+  // Prefer variants the client can take without server-side decompression,
+  // brotli first since it is the smaller of the two
+  function preferredSuffixes(req) {
+    const passThrough = [".br", ".gz"].filter((ext) => {
+      const encoding = ENCODINGS[ext];
+      return config.encodings.includes(encoding) && req.acceptsEncodings(encoding) === encoding;
+    });
+    const decoded = [".br", ".gz"].filter((ext) => !passThrough.includes(ext));
+    return [...passThrough, "", ...decoded];
+  }
+
+  function manifestFor(req) {
+    return listBuilds({ legacyDir: BUILD, buildsDir: BUILDS, preferred: preferredSuffixes(req) });
+  }
+
+  // ===== Build manifest (used by the loader page and diagnostics.html) =====
+  app.get("/api/builds", (req, res) => {
+    res.setHeader("Vary", "Accept-Encoding");
+    res.setHeader("Cache-Control", "no-cache");
+    res.json(manifestFor(req));
+  });
+
+  // ===== Loader page, rendered per build from its build.json =====
+  // "/" (and /index.html) takes ?build=<name>&version=<version>, otherwise the
+  // manifest default; /play/<name>[/<version>] is the same with path segments.
+  function sendLoaderPage(req, res, name, version) {
+    const build = findBuild(manifestFor(req), name, version);
+    let error = null;
+    if (!build) {
+      const wanted = [name, version].filter(Boolean).join(" ");
+      error = wanted ? `Build "${wanted}" is not available on this server.` : "No Unity build available on this server.";
+    }
+    // Relative path back to the site root for <base href>
+    const base = "../".repeat(req.path.split("/").length - 2) || "./";
+    res.setHeader("Vary", "Accept-Encoding");
+    res.setHeader("Cache-Control", "no-cache");
+    res.status(build ? 200 : 404).type("html").send(renderLoaderPage({ build, base, error }));
+  }
+
+  function queryValue(value) {
+    return typeof value === "string" && value ? value : undefined;
+  }
+
+  app.get(["/", "/index.html"], (req, res) => {
+    sendLoaderPage(req, res, queryValue(req.query.build), queryValue(req.query.version));
+  });
+
+  app.get("/play/:name{/:version}", (req, res) => {
+    sendLoaderPage(req, res, req.params.name, req.params.version);
+  });
+
+  // ===== Health and status =====
+  app.get("/healthz", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.status(shuttingDown ? 503 : 200).json({ status: shuttingDown ? "shutting_down" : "ok" });
+  });
+
+  app.get("/status", (req, res) => {
+    const { builds } = listBuilds({ legacyDir: BUILD, buildsDir: BUILDS, preferred: [] });
+    res.setHeader("Cache-Control", "no-store");
+    res.json({
+      status: shuttingDown ? "shutting_down" : "ok",
+      ...metrics.snapshot(),
+      builds: builds.map((b) => ({ name: b.name, version: b.version, productVersion: b.productVersion })),
+    });
+  });
+
+  // ===== Uploaded photos from the image picker =====
+  app.use("/api/images", createImageRouter(config));
+
+  // ===== Build deploy API (token protected) =====
+  app.use("/api/deploy", createDeployRouter(config));
+
+  // ===== Serve TemplateData, StreamingAssets, webgl_image_picker.js =====
+  app.use(express.static(ROOT, { maxAge: config.staticMaxAge * 1000 }));
+
+  // ===== Errors: same JSON shape for every route =====
+  app.use(notFound);
+  app.use(errorHandler);
+
+  function startDraining() {
+    shuttingDown = true;
+  }
+
+  return { app, metrics, startDraining };
+}
+
+module.exports = { createApp };
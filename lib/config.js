@@ -0,0 +1,265 @@
+const path = require("path");
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const PROJECT_ROOT = path.join(__dirname, "..");
+const SUPPORTED_ENCODINGS = ["gzip", "br"];
+const PROTOCOLS = ["http", "https", "http2"];
+// Cross-Origin-Embedder-Policy values; "off" sends no isolation headers
+const ISOLATION_MODES = ["off", "require-corp", "credentialless"];
+// Access log formats: one JSON object per line, or nothing
+const ACCESS_LOG_FORMATS = ["json", "off"];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+// ----- Value parsers (raw string / JSON value -> typed value) -----
+function toPort(value, source) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 65535) {
+    throw new ConfigError(`${source}: port must be an integer between 0 and 65535, got "${value}"`);
+  }
+  return n;
+}
+
+function toSeconds(value, source) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new ConfigError(`${source}: expected a non-negative number of seconds, got "${value}"`);
+  }
+  return n;
+}
+
+function toBytes(value, source) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    throw new ConfigError(`${source}: expected a positive number of bytes, got "${value}"`);
+  }
+  return n;
+}
+
+function toCount(value, source) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new ConfigError(`${source}: expected a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
+
+function toString(value, source) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new ConfigError(`${source}: expected a non-empty string`);
+  }
+  return value.trim();
+}
+
+function toEncodings(value, source) {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const encodings = list.map((e) => String(e).trim().toLowerCase()).filter(Boolean);
+  const unknown = encodings.filter((e) => !SUPPORTED_ENCODINGS.includes(e));
+  if (unknown.length) {
+    throw new ConfigError(
+      `${source}: unsupported encoding(s) ${unknown.join(", ")} (supported: ${SUPPORTED_ENCODINGS.join(", ")})`
+    );
+  }
+  return [...new Set(encodings)];
+}
+
+function toProtocol(value, source) {
+  const protocol = String(value).trim().toLowerCase();
+  if (!PROTOCOLS.includes(protocol)) {
+    throw new ConfigError(`${source}: protocol must be one of ${PROTOCOLS.join(", ")}, got "${value}"`);
+  }
+  return protocol;
+}
+
+function toIsolation(value, source) {
+  if (value === true || value === "true" || value === "on" || value === "1") return "require-corp";
+  if (value === false || value === "false" || value === "0") return "off";
+  const mode = String(value).trim().toLowerCase();
+  if (!ISOLATION_MODES.includes(mode)) {
+    throw new ConfigError(`${source}: cross-origin isolation must be one of ${ISOLATION_MODES.join(", ")}, got "${value}"`);
+  }
+  return mode;
+}
+
+function toAccessLog(value, source) {
+  if (value === false || value === "false" || value === "0") return "off";
+  const format = String(value).trim().toLowerCase();
+  if (!ACCESS_LOG_FORMATS.includes(format)) {
+    throw new ConfigError(`${source}: access log must be one of ${ACCESS_LOG_FORMATS.join(", ")}, got "${value}"`);
+  }
+  return format;
+}
+
+// ----- Option table -----
+// key: config file property, flag: --<flag>, env: environment variable(s).
+// secret: value is never printed by describeConfig.
+// Precedence: defaults < config file < environment < command line.
+// Path options are resolved against the config file's directory when they
+// come from the file, and against the working directory otherwise.
+const OPTIONS = [
+  { key: "port", flag: "port", env: ["WEBGL_PORT", "PORT"], parse: toPort, default: 8080,
+    help: "Port to listen on" },
+  { key: "host", flag: "host", env: ["WEBGL_HOST", "HOST"], parse: toString, default: "0.0.0.0",
+    help: "Address to bind" },
+  { key: "protocol", flag: "protocol", env: ["WEBGL_PROTOCOL"], parse: toProtocol, default: "http",
+    help: "http, https, or http2 (TLS, HTTP/1.1 fallback)" },
+  { key: "tlsCert", flag: "tls-cert", env: ["WEBGL_TLS_CERT"], parse: toString, path: true, default: null,
+    help: "PEM certificate for https/http2 (default: generated self-signed)" },
+  { key: "tlsKey", flag: "tls-key", env: ["WEBGL_TLS_KEY"], parse: toString, path: true, default: null,
+    help: "PEM private key matching --tls-cert" },
+  { key: "publicDir", flag: "public-dir", env: ["WEBGL_PUBLIC_DIR"], parse: toString, path: true,
+    default: path.join(PROJECT_ROOT, "public"), help: "Directory served as the site root" },
+  { key: "buildDir", flag: "build-dir", env: ["WEBGL_BUILD_DIR"], parse: toString, path: true,
+    default: null, help: "Directory served at /Build (default: <public-dir>/Build)" },
+  { key: "buildsDir", flag: "builds-dir", env: ["WEBGL_BUILDS_DIR"], parse: toString, path: true,
+    default: path.join(PROJECT_ROOT, "builds"), help: "Root of side-by-side builds (<name>/<version>/)" },
+  { key: "uploadDir", flag: "upload-dir", env: ["WEBGL_UPLOAD_DIR"], parse: toString, path: true,
+    default: path.join(PROJECT_ROOT, "uploads"), help: "Where uploaded images are stored" },
+  { key: "uploadMaxBytes", flag: "upload-max-bytes", env: ["WEBGL_UPLOAD_MAX_BYTES"], parse: toBytes,
+    default: 5 * 1024 * 1024, help: "Largest accepted image upload, in bytes" },
+  { key: "uploadQuotaBytes", flag: "upload-quota-bytes", env: ["WEBGL_UPLOAD_QUOTA_BYTES"], parse: toBytes,
+    default: 1024 * 1024 * 1024, help: "Total size uploaded images may take in --upload-dir, in bytes" },
+  { key: "uploadRateLimit", flag: "upload-rate-limit", env: ["WEBGL_UPLOAD_RATE_LIMIT"], parse: toCount,
+    default: 30, help: "Image uploads per minute per client address (0 = unlimited)" },
+  { key: "deployToken", flag: "deploy-token", env: ["WEBGL_DEPLOY_TOKEN"], parse: toString, secret: true,
+    default: null, help: "Bearer token for the /api/deploy build upload API (unset = disabled)" },
+  { key: "deployMaxBytes", flag: "deploy-max-bytes", env: ["WEBGL_DEPLOY_MAX_BYTES"], parse: toBytes,
+    default: 2 * 1024 * 1024 * 1024, help: "Largest accepted build zip, in bytes" },
+  { key: "deployMaxUnpackedBytes", flag: "deploy-max-unpacked-bytes", env: ["WEBGL_DEPLOY_MAX_UNPACKED_BYTES"],
+    parse: toBytes, default: 4 * 1024 * 1024 * 1024, help: "Largest total size unpacked from a build zip, in bytes" },
+  { key: "immutableMaxAge", flag: "immutable-max-age", env: ["WEBGL_IMMUTABLE_MAX_AGE"], parse: toSeconds,
+    default: 365 * 24 * 60 * 60, help: "Cache lifetime (s) of versioned / hashed build files" },
+  { key: "buildMaxAge", flag: "build-max-age", env: ["WEBGL_BUILD_MAX_AGE"], parse: toSeconds,
+    default: 0, help: "Cache lifetime (s) of other build files (0 = always revalidate)" },
+  { key: "staticMaxAge", flag: "static-max-age", env: ["WEBGL_STATIC_MAX_AGE"], parse: toSeconds,
+    default: 0, help: "Cache lifetime (s) of TemplateData, StreamingAssets and other public files" },
+  { key: "crossOriginIsolation", flag: "cross-origin-isolation", env: ["WEBGL_CROSS_ORIGIN_ISOLATION"],
+    parse: toIsolation, default: "off",
+    help: "COOP/COEP for threaded builds: off, require-corp (or true), credentialless" },
+  { key: "encodings", flag: "encodings", env: ["WEBGL_ENCODINGS"], parse: toEncodings,
+    default: SUPPORTED_ENCODINGS, help: "Precompressed formats passed through, comma separated (gzip,br)" },
+  { key: "accessLog", flag: "access-log", env: ["WEBGL_ACCESS_LOG"], parse: toAccessLog, default: "json",
+    help: "Per-request log on stdout: json (one object per line) or off" },
+  { key: "shutdownTimeout", flag: "shutdown-timeout", env: ["WEBGL_SHUTDOWN_TIMEOUT"], parse: toSeconds,
+    default: 30, help: "Seconds in-flight requests get to finish on SIGTERM / SIGINT" },
+  { key: "drainDelay", flag: "drain-delay", env: ["WEBGL_DRAIN_DELAY"], parse: toSeconds, default: 5,
+    help: "Seconds to keep accepting requests (/healthz = 503) before closing on shutdown" },
+];
+
+function usage() {
+  const lines = OPTIONS.map((o) => `  --${o.flag.padEnd(20)} ${o.help} [${o.env.join(", ")}]`);
+  return [
+    "Usage: node server.js [options]",
+    "",
+    "Options:",
+    `  --${"config".padEnd(20)} JSON config file [WEBGL_CONFIG]`,
+    ...lines,
+    `  --${"help".padEnd(20)} Show this help`,
+  ].join("\n");
+}
+
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    throw new ConfigError(`Cannot read config file ${file}: ${e.message}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new ConfigError(`Invalid JSON in config file ${file}: ${e.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ConfigError(`Config file ${file} must contain a JSON object`);
+  }
+  const known = new Set(OPTIONS.map((o) => o.key));
+  const unknown = Object.keys(data).filter((k) => !known.has(k));
+  if (unknown.length) {
+    throw new ConfigError(`Config file ${file}: unknown option(s) ${unknown.join(", ")}`);
+  }
+  return data;
+}
+
+/**
+ * Build the effective server configuration.
+ *
+ * Returns `{ help: true }` when --help was passed; throws ConfigError on any
+ * invalid flag, environment variable or config file value.
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+  const flagOptions = { config: { type: "string" }, help: { type: "boolean" } };
+  for (const o of OPTIONS) flagOptions[o.flag] = { type: "string" };
+
+  let flags;
+  try {
+    ({ values: flags } = parseArgs({ args: argv, options: flagOptions, strict: true }));
+  } catch (e) {
+    throw new ConfigError(`${e.message}\n\n${usage()}`);
+  }
+  if (flags.help) {
+    return { help: true, usage: usage() };
+  }
+
+  const configFile = flags.config || env.WEBGL_CONFIG;
+  const fileValues = configFile ? readConfigFile(path.resolve(configFile)) : {};
+  const fileDir = configFile ? path.dirname(path.resolve(configFile)) : process.cwd();
+
+  const config = { configFile: configFile ? path.resolve(configFile) : null };
+  for (const o of OPTIONS) {
+    let value = o.default;
+    let base = process.cwd();
+
+    if (fileValues[o.key] !== undefined) {
+      value = o.parse(fileValues[o.key], `${configFile} "${o.key}"`);
+      base = fileDir;
+    }
+    const envName = o.env.find((name) => env[name] !== undefined && env[name] !== "");
+    if (envName) {
+      value = o.parse(env[envName], envName);
+      base = process.cwd();
+    }
+    if (flags[o.flag] !== undefined) {
+      value = o.parse(flags[o.flag], `--${o.flag}`);
+      base = process.cwd();
+    }
+
+    config[o.key] = o.path && value ? path.resolve(base, value) : value;
+  }
+
+  if (!config.buildDir) {
+    config.buildDir = path.join(config.publicDir, "Build");
+  }
+  if (!fs.existsSync(config.publicDir)) {
+    throw new ConfigError(`Public directory does not exist: ${config.publicDir}`);
+  }
+  if (!config.tlsCert !== !config.tlsKey) {
+    throw new ConfigError("tlsCert and tlsKey must be given together");
+  }
+  for (const file of [config.tlsCert, config.tlsKey]) {
+    if (file && !fs.existsSync(file)) {
+      throw new ConfigError(`TLS file does not exist: ${file}`);
+    }
+  }
+
+  return config;
+}
+
+function describeConfig(config) {
+  return OPTIONS.map((o) => {
+    let value = config[o.key] === null ? "(none)" : config[o.key];
+    if (o.secret && config[o.key] !== null) value = "(set)";
+    return `  ${o.key.padEnd(20)} ${Array.isArray(value) ? value.join(", ") || "(none)" : value}`;
+  })
+    .concat(config.configFile ? [`  ${"configFile".padEnd(20)} ${config.configFile}`] : [])
+    .join("\n");
+}
+
+module.exports = { loadConfig, describeConfig, ConfigError, SUPPORTED_ENCODINGS };
@@ -0,0 +1,373 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const yauzl = require("yauzl");
+const { HttpError } = require("./errors");
+const {
+  listBuilds,
+  readActive,
+  writeActive,
+  isSegment,
+  buildFileRole,
+  REQUIRED_ROLES,
+  META_FILE,
+  STREAMING_ASSETS_DIR,
+} = require("./manifest");
+
+// Uploads are unpacked under buildsDir so the final rename into
+// <name>/<version> stays on one filesystem (atomic). Not a valid segment, so
+// the manifest never lists it.
+const STAGING_DIR = ".staging";
+
+// Missing .gz / .br variants are generated from the first of these present
+const SOURCE_ORDER = ["", ".gz", ".br"];
+
+const DECODERS = {
+  ".gz": () => zlib.createGunzip(),
+  ".br": () => zlib.createBrotliDecompress(),
+};
+
+const ENCODERS = {
+  ".gz": () => zlib.createGzip({ level: 9 }),
+  // Quality 11 takes several times longer on multi-hundred-MB data files for
+  // a percent or two
+  ".br": () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9 } }),
+};
+
+function compressionSuffix(name) {
+  const ext = path.extname(name);
+  return ext === ".gz" || ext === ".br" ? ext : "";
+}
+
+// Bearer token check; hashing first gives timingSafeEqual equal-length input
+function requireToken(token) {
+  const expected = crypto.createHash("sha256").update(token).digest();
+  return (req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    const given = match && crypto.createHash("sha256").update(match[1]).digest();
+    if (!given || !crypto.timingSafeEqual(given, expected)) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="deploy"');
+      throw new HttpError(401, "unauthorized", "Missing or invalid deploy token");
+    }
+    next();
+  };
+}
+
+// Stream the request body to `file`, at most `maxBytes`
+async function receiveUpload(req, file, maxBytes) {
+  const tooLarge = () => new HttpError(413, "payload_too_large", `Build zip is larger than ${maxBytes} bytes`);
+  if (Number(req.get("Content-Length")) > maxBytes) {
+    throw tooLarge();
+  }
+  let received = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > maxBytes ? tooLarge() : null, chunk);
+    },
+  });
+  await pipeline(req, limit, fs.createWriteStream(file));
+  if (received === 0) {
+    throw new HttpError(400, "empty_body", "Request body is empty");
+  }
+}
+
+function openZip(file) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(file, { lazyEntries: true, autoClose: false }, (err, zip) => (err ? reject(err) : resolve(zip)));
+  });
+}
+
+function readEntries(zip) {
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zip.on("entry", (entry) => {
+      entries.push(entry);
+      zip.readEntry();
+    });
+    zip.on("end", () => resolve(entries));
+    zip.on("error", reject);
+    zip.readEntry();
+  });
+}
+
+function openEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+  });
+}
+
+// Pick the Unity build files out of an export zip. The zip may hold the whole
+// WebGL export (index.html, Build/, TemplateData/ ...), possibly inside a top
+// folder, or just the build files: the directory holding the *.loader.js wins.
+// Returns [entry, path inside the build directory] pairs, the export's
+// StreamingAssets/ folder included, after checking that they unpack to at most
+// `maxBytes` (yauzl fails an entry whose data outgrows its declared size).
+function selectBuildEntries(entries, maxBytes) {
+  const files = entries.filter((e) => {
+    const base = path.posix.basename(e.fileName);
+    return !e.fileName.endsWith("/") && !e.fileName.startsWith("__MACOSX/") && !base.startsWith(".");
+  });
+  const loaders = files.filter((e) => buildFileRole(path.posix.basename(e.fileName)) === "loader");
+  if (!loaders.length) {
+    throw new HttpError(400, "missing_files", "No *.loader.js found in the zip");
+  }
+  // Compression variants of one loader are fine; loaders in several
+  // directories are not (several loaders in one are caught below)
+  const dirs = [...new Set(loaders.map((e) => path.posix.dirname(e.fileName)))];
+  if (dirs.length > 1) {
+    throw new HttpError(400, "ambiguous_build", `The zip holds several builds: ${dirs.join(", ")}`);
+  }
+
+  const dir = dirs[0];
+  const selected = files.filter((e) => {
+    const base = path.posix.basename(e.fileName);
+    return path.posix.dirname(e.fileName) === dir && (buildFileRole(base) || base === META_FILE);
+  });
+
+  // One file (in any compression variants) per role
+  const stems = {};
+  for (const entry of selected) {
+    const base = path.posix.basename(entry.fileName);
+    const role = buildFileRole(base);
+    if (!role) continue;
+    const stem = base.slice(0, base.length - compressionSuffix(base).length);
+    (stems[role] = stems[role] || new Set()).add(stem);
+  }
+  const missing = REQUIRED_ROLES.filter((role) => !stems[role]);
+  if (missing.length) {
+    throw new HttpError(400, "missing_files", `Build is missing its ${missing.join(", ")} file(s) in ${dir}/`);
+  }
+  const duplicated = Object.keys(stems).filter((role) => stems[role].size > 1);
+  if (duplicated.length) {
+    throw new HttpError(
+      400,
+      "ambiguous_build",
+      `Several ${duplicated.join(", ")} files in ${dir}/: ${duplicated.map((r) => [...stems[r]].join(", ")).join("; ")}`
+    );
+  }
+
+  // StreamingAssets/ sits next to Build/ in an export, or next to the build
+  // files when only those were zipped
+  const exportRoot = path.posix.basename(dir) === "Build" ? path.posix.dirname(dir) : dir;
+  const assetsPrefix = path.posix.join(exportRoot, STREAMING_ASSETS_DIR) + "/";
+  const assets = files.filter((e) => e.fileName.startsWith(assetsPrefix));
+
+  const unpacked = [...selected, ...assets].reduce((total, e) => total + e.uncompressedSize, 0);
+  if (unpacked > maxBytes) {
+    throw new HttpError(413, "unpacked_too_large", `Build unpacks to ${unpacked} bytes, more than ${maxBytes}`);
+  }
+  return [
+    ...selected.map((e) => [e, path.posix.basename(e.fileName)]),
+    ...assets.map((e) => [e, STREAMING_ASSETS_DIR + "/" + e.fileName.slice(assetsPrefix.length)]),
+  ];
+}
+
+// yauzl already rejects absolute and ".." entry names; `name` comes from them
+async function extractEntries(zip, entries, dir) {
+  for (const [entry, name] of entries) {
+    const target = path.join(dir, name);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(await openEntry(zip, entry), fs.createWriteStream(target));
+  }
+}
+
+// "*.gz" files must really be gzip, or they'd be served with a lying
+// Content-Encoding
+async function checkGzipMagic(dir, name) {
+  const handle = await fs.promises.open(path.join(dir, name), "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    if (bytesRead < 2 || buffer[0] !== 0x1f || buffer[1] !== 0x8b) {
+      throw new HttpError(400, "invalid_compression", `${name} is not gzip data`);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Add the missing .gz / .br variant of every build file except the loader,
+// which is loaded by a <script> tag and always served as is
+async function precompress(dir) {
+  const variants = new Map();
+  for (const name of await fs.promises.readdir(dir)) {
+    const role = buildFileRole(name);
+    if (!role || role === "loader") continue;
+    const suffix = compressionSuffix(name);
+    if (suffix === ".gz") {
+      await checkGzipMagic(dir, name);
+    }
+    const stem = name.slice(0, name.length - suffix.length);
+    if (!variants.has(stem)) variants.set(stem, new Set());
+    variants.get(stem).add(suffix);
+  }
+
+  const generated = [];
+  for (const [stem, suffixes] of variants) {
+    const source = SOURCE_ORDER.find((s) => suffixes.has(s));
+    for (const target of [".gz", ".br"]) {
+      if (suffixes.has(target)) continue;
+      const stages = [fs.createReadStream(path.join(dir, stem + source))];
+      if (source) stages.push(DECODERS[source]());
+      stages.push(ENCODERS[target](), fs.createWriteStream(path.join(dir, stem + target)));
+      try {
+        await pipeline(...stages);
+      } catch (e) {
+        throw new HttpError(400, "invalid_compression", `Cannot decompress ${stem + source}: ${e.message}`);
+      }
+      generated.push(stem + target);
+    }
+  }
+  return generated;
+}
+
+/**
+ * Build deploy API, mounted at /api/deploy. Every route needs
+ * `Authorization: Bearer <config.deployToken>`; without a configured token
+ * the API answers 403.
+ *
+ * - GET  /                        active build pointer and current default
+ * - POST /:name/:version          zipped Unity WebGL export (at most
+ *                                 config.deployMaxBytes, unpacking to at most
+ *                                 config.deployMaxUnpackedBytes) -> 201; checked,
+ *                                 precompressed, moved into
+ *                                 builds/<name>/<version>/ in one rename and
+ *                                 activated unless ?activate=false; the
+ *                                 export's StreamingAssets/ goes along
+ *                                 (201 reports its file count)
+ * - POST /:name/:version/activate make an existing build the default
+ * - POST /rollback                reactivate the previously active build
+ *
+ * Versions are never overwritten (their files are cached as immutable), so
+ * every earlier build stays on disk for rollback.
+ *
+ *   curl -H "Authorization: Bearer $TOKEN" --data-binary @WebGL.zip \
+ *     http://localhost:8080/api/deploy/traffic/0.0.8
+ */
+function createDeployRouter(config) {
+  const router = express.Router();
+  const buildsDir = config.buildsDir;
+  const stagingRoot = path.join(buildsDir, STAGING_DIR);
+
+  if (!config.deployToken) {
+    router.use(() => {
+      throw new HttpError(403, "deploy_disabled", "Deploy API is disabled: no deploy token configured");
+    });
+    return router;
+  }
+  router.use(requireToken(config.deployToken));
+
+  const manifest = () => listBuilds({ legacyDir: config.buildDir, buildsDir, preferred: [] });
+
+  // The current default becomes `previous`, so a rollback returns to it
+  function activate(name, version) {
+    const { builds, default: current } = manifest();
+    if (!builds.some((b) => b.name === name && b.version === version)) {
+      throw new HttpError(404, "build_not_found", `Build ${name} ${version} not found`);
+    }
+    const same = current && current.name === name && current.version === version;
+    const previous = same ? (readActive(buildsDir) || {}).previous || null : current;
+    const active = { name, version, activatedAt: new Date().toISOString(), previous };
+    fs.mkdirSync(buildsDir, { recursive: true });
+    writeActive(buildsDir, active);
+    console.log(`🚦 Activated build ${name} ${version}`);
+    return active;
+  }
+
+  function checkSegments(name, version) {
+    if (!isSegment(name) || !isSegment(version)) {
+      throw new HttpError(400, "invalid_path", "Invalid build name or version");
+    }
+  }
+
+  router.get("/", (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ active: readActive(buildsDir), default: manifest().default });
+  });
+
+  router.post("/rollback", (req, res) => {
+    const current = readActive(buildsDir);
+    if (!current || !current.previous) {
+      throw new HttpError(409, "no_previous_build", "No previously active build to roll back to");
+    }
+    res.json({ active: activate(current.previous.name, current.previous.version) });
+  });
+
+  router.post("/:name/:version/activate", (req, res) => {
+    const { name, version } = req.params;
+    checkSegments(name, version);
+    res.json({ active: activate(name, version) });
+  });
+
+  router.post("/:name/:version", async (req, res) => {
+    const { name, version } = req.params;
+    checkSegments(name, version);
+    const target = path.join(buildsDir, name, version);
+    if (fs.existsSync(target)) {
+      throw new HttpError(409, "build_exists", `Build ${name} ${version} already exists; deploy it as a new version`);
+    }
+
+    await fs.promises.mkdir(stagingRoot, { recursive: true });
+    const staging = await fs.promises.mkdtemp(path.join(stagingRoot, "deploy-"));
+    const zipFile = `${staging}.zip`;
+    try {
+      await receiveUpload(req, zipFile, config.deployMaxBytes);
+
+      let zip;
+      try {
+        zip = await openZip(zipFile);
+      } catch (e) {
+        throw new HttpError(400, "invalid_zip", `Not a readable zip file: ${e.message}`);
+      }
+      let entries;
+      try {
+        entries = selectBuildEntries(
+          await readEntries(zip).catch((e) => {
+            throw new HttpError(400, "invalid_zip", `Not a readable zip file: ${e.message}`);
+          }),
+          config.deployMaxUnpackedBytes
+        );
+        await extractEntries(zip, entries, staging);
+      } finally {
+        zip.close();
+      }
+      const streamingAssets = entries.filter(([, name]) => name.startsWith(`${STREAMING_ASSETS_DIR}/`)).length;
+      // Done with the zip: free its disk space before precompressing
+      await fs.promises.rm(zipFile, { force: true });
+
+      const generated = await precompress(staging);
+      const files = (await fs.promises.readdir(staging)).filter((f) => f !== STREAMING_ASSETS_DIR).sort();
+      // mkdtemp creates the directory 0700
+      await fs.promises.chmod(staging, 0o755);
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.promises.rename(staging, target);
+      } catch (e) {
+        if (e.code === "EEXIST" || e.code === "ENOTEMPTY") {
+          throw new HttpError(409, "build_exists", `Build ${name} ${version} already exists; deploy it as a new version`);
+        }
+        throw e;
+      }
+      console.log(
+        `📦 Deployed build ${name} ${version} (${files.length} files, ${generated.length} precompressed, ` +
+          `${streamingAssets} in ${STREAMING_ASSETS_DIR})`
+      );
+
+      const active = req.query.activate === "false" ? readActive(buildsDir) : activate(name, version);
+      const url = `builds/${encodeURIComponent(name)}/${encodeURIComponent(version)}`;
+      res.status(201).json({ name, version, url, files, generated, streamingAssets, active });
+    } finally {
+      await fs.promises.rm(zipFile, { force: true });
+      await fs.promises.rm(staging, { recursive: true, force: true });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDeployRouter };
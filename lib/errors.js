@@ -0,0 +1,71 @@
+const http = require("http");
+
+// Consistent error responses for every route:
+//   { "error": { "status": 404, "code": "not_found", "message": "Not found" } }
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DEFAULT_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  405: "method_not_allowed",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  416: "range_not_satisfiable",
+  429: "too_many_requests",
+  500: "internal_error",
+  507: "insufficient_storage",
+};
+
+function sendError(res, status, code, message) {
+  if (res.headersSent) {
+    // Body already streaming: the only honest signal left is a broken response
+    res.destroy();
+    return;
+  }
+  // Drop headers set for the success path (encoding, validators, caching)
+  for (const name of ["Content-Encoding", "Content-Type", "Content-Length", "ETag", "Last-Modified", "Cache-Control"]) {
+    res.removeHeader(name);
+  }
+  res.setHeader("Cache-Control", "no-store");
+  res.status(status).json({
+    error: { status, code: code || DEFAULT_CODES[status] || "error", message },
+  });
+}
+
+// Final middleware: nothing matched the request
+function notFound(req, res) {
+  sendError(res, 404, "not_found", "Not found");
+}
+
+// Generic message for errors that didn't come from our own code: the reason
+// phrase in sentence case, e.g. "Not found"
+function statusMessage(status) {
+  const text = http.STATUS_CODES[status] || "Error";
+  return text[0] + text.slice(1).toLowerCase();
+}
+
+// Express error middleware (4 arguments): HttpError, body-parser / send
+// errors carrying .status, and unexpected exceptions (500, details logged).
+// Only HttpError messages are written for clients; the others can carry file
+// system paths or library internals.
+function errorHandler(err, req, res, next) {
+  const status = err.status || err.statusCode || 500;
+  const ours = err instanceof HttpError;
+  if (status >= 500 && !ours) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+  sendError(res, status, ours ? err.code : DEFAULT_CODES[status], ours ? err.message : statusMessage(status));
+}
+
+module.exports = { HttpError, sendError, notFound, errorHandler };
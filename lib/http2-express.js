@@ -0,0 +1,54 @@
+// ===== HTTP/2 adapter for Express 5 =====
+//
+// Express has no HTTP/2 support: app.handle() swaps every request / response
+// prototype to app.request / app.response, which inherit from
+// http.IncomingMessage / http.ServerResponse, and that breaks the
+// Http2ServerRequest / Http2ServerResponse objects of the compat API.
+//
+// The adapter runs app.handle() on a view of the app whose request / response
+// objects carry the same express methods on top of the http2 compat classes.
+// It relies on Express internals (app.handle using this.request /
+// this.response), so:
+//   - express is pinned to a minor range in package.json
+//   - assertSupported() fails at startup instead of at the first request
+//   - test/http2-express.test.js exercises it over a real HTTP/2 connection
+// Re-check all three when upgrading Express.
+
+const http2 = require("http2");
+const express = require("express");
+const { notFound, errorHandler } = require("./errors");
+
+function assertSupported(app) {
+  if (typeof app.handle !== "function" || !app.request || !app.response || !express.request || !express.response) {
+    throw new Error("Unsupported Express version for the HTTP/2 adapter (see lib/http2-express.js)");
+  }
+}
+
+// Express's own methods / getters layered over an http2 compat prototype
+function withProto(base, ...sources) {
+  const descriptors = sources.map((source) => Object.getOwnPropertyDescriptors(source));
+  return Object.create(base, Object.assign({}, ...descriptors));
+}
+
+/**
+ * Request handler for http2.createSecureServer({ allowHTTP1: true }).
+ * HTTP/1.1 requests go to `app` unchanged; HTTP/2 ones get the adapted
+ * prototypes. Anything the app's own middleware leaves unanswered ends in the
+ * usual JSON 404 / error response.
+ */
+function http2Handler(app) {
+  assertSupported(app);
+  const view = Object.create(app, {
+    request: { value: withProto(http2.Http2ServerRequest.prototype, express.request, app.request) },
+    response: { value: withProto(http2.Http2ServerResponse.prototype, express.response, app.response) },
+  });
+
+  return (req, res) => {
+    if (req.httpVersionMajor !== 2) {
+      return app(req, res);
+    }
+    view.handle(req, res, (err) => (err ? errorHandler(err, req, res) : notFound(req, res)));
+  };
+}
+
+module.exports = { http2Handler };
@@ -0,0 +1,109 @@
+const path = require("path");
+const fs = require("fs");
+
+const TEMPLATE_FILE = path.join(__dirname, "..", "templates", "loader.html");
+
+// Plugin name (build.json "page.plugins") -> script injected once the Unity
+// instance is running
+const PLUGINS = {
+  "image-picker": "webgl_image_picker.js",
+};
+
+const SIZING_MODES = ["fixed", "fit", "fullscreen"];
+
+// What the hand-edited index.html used to hardcode
+const PAGE_DEFAULTS = {
+  sizing: "fixed",
+  width: 480,
+  height: 800,
+  plugins: ["image-picker"],
+};
+
+let template = null;
+const warned = new Set();
+
+// Bad build.json values fall back to the default; say so once per build
+function warnOnce(build, message) {
+  const key = `${build.name}/${build.version}: ${message}`;
+  if (!warned.has(key)) {
+    warned.add(key);
+    console.warn(`⚠️  build.json of ${key}`);
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// JSON inside <script>: "</script>" or "<!--" in a string must not end it
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+function dimension(build, page, key) {
+  const n = page[key];
+  if (Number.isInteger(n) && n > 0) return n;
+  warnOnce(build, `page.${key} must be a positive integer, using ${PAGE_DEFAULTS[key]}`);
+  return PAGE_DEFAULTS[key];
+}
+
+// Manifest entry (build.json "page" merged over the defaults) -> the settings
+// the page script reads
+function pageSettings(build) {
+  const page = { ...PAGE_DEFAULTS, ...build.page };
+
+  let sizing = page.sizing;
+  if (!SIZING_MODES.includes(sizing)) {
+    warnOnce(build, `page.sizing must be one of ${SIZING_MODES.join(", ")}, using ${PAGE_DEFAULTS.sizing}`);
+    sizing = PAGE_DEFAULTS.sizing;
+  }
+
+  const plugins = [];
+  for (const name of Array.isArray(page.plugins) ? page.plugins : []) {
+    if (PLUGINS[name]) {
+      plugins.push(PLUGINS[name]);
+    } else {
+      warnOnce(build, `unknown plugin "${name}" (known: ${Object.keys(PLUGINS).join(", ")})`);
+    }
+  }
+
+  const productName = build.productName || build.name;
+  return {
+    title: typeof page.title === "string" && page.title ? page.title : `Unity Web Player | ${productName}`,
+    companyName: build.companyName || "DefaultCompany",
+    productName,
+    productVersion: build.productVersion || build.version,
+    sizing,
+    width: dimension(build, page, "width"),
+    height: dimension(build, page, "height"),
+    plugins,
+  };
+}
+
+/**
+ * Render templates/loader.html for one manifest build, or an error screen
+ * when `build` is null. `base` is the relative path from the request URL back
+ * to the site root, so the page works at "/" and under "/play/<name>/<version>".
+ */
+function renderLoaderPage({ build, base, error }) {
+  if (template === null) {
+    template = fs.readFileSync(TEMPLATE_FILE, "utf8");
+  }
+
+  const page = build ? pageSettings(build) : { ...PAGE_DEFAULTS, title: "Unity Web Player", plugins: [] };
+  const config = {
+    build: build && {
+      name: build.name,
+      version: build.version,
+      files: build.files,
+      sizes: build.sizes,
+      streamingAssetsUrl: build.streamingAssetsUrl,
+    },
+    page,
+    error: build ? null : error,
+  };
+  const values = { base: escapeHtml(base), title: escapeHtml(page.title), config: scriptJson(config) };
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+module.exports = { renderLoaderPage };
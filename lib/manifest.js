@@ -0,0 +1,239 @@
+const path = require("path");
+const fs = require("fs");
+const { HttpError } = require("./errors");
+
+// Unity build artifact role -> file name pattern (compression suffix optional)
+const ROLES = {
+  loader: /\.loader\.js(\.gz|\.br)?$/,
+  framework: /\.framework\.js(\.gz|\.br)?$/,
+  code: /\.wasm(\.gz|\.br)?$/,
+  data: /\.data(\.gz|\.br)?$/,
+  symbols: /\.symbols\.json(\.gz|\.br)?$/,
+};
+const REQUIRED_ROLES = ["loader", "framework", "code", "data"];
+
+// Optional per-build metadata file (productName, companyName, productVersion,
+// and "page" settings for the rendered loader page)
+const META_FILE = "build.json";
+
+// Unity's StreamingAssets folder. A build under buildsDir may carry its own
+// (<name>/<version>/StreamingAssets/); the others share publicDir's.
+const STREAMING_ASSETS_DIR = "StreamingAssets";
+
+// Build activated through the deploy API: buildsDir/active.json
+// { name, version, activatedAt, previous: { name, version } | null }
+const ACTIVE_FILE = "active.json";
+
+// Build names / versions become URL segments and directory names
+const SEGMENT = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Allowlist check for served build files: role name, or null if the file is
+// not a Unity build artifact
+function buildFileRole(name) {
+  const match = Object.entries(ROLES).find(([, pattern]) => pattern.test(name));
+  return match ? match[0] : null;
+}
+
+// Route params arrive URL-decoded, so "%2e%2e%2f" is already "../" here.
+// Only plain file names that match a Unity build artifact pattern get through.
+function resolveBuildFile(dir, file) {
+  if (
+    !file ||
+    file === "." ||
+    file === ".." ||
+    /[/\\\0]/.test(file) ||
+    path.isAbsolute(file)
+  ) {
+    throw new HttpError(400, "invalid_path", "Invalid file name");
+  }
+  if (!buildFileRole(file)) {
+    throw new HttpError(404, "not_found", "Not found");
+  }
+
+  const filePath = path.resolve(dir, file);
+  const relative = path.relative(path.resolve(dir), filePath);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new HttpError(400, "invalid_path", "Invalid file name");
+  }
+  return filePath;
+}
+
+function isSegment(value) {
+  return SEGMENT.test(value) && !value.includes("..");
+}
+
+function listDirs(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((d) => d.isDirectory() && isSegment(d.name))
+      .map((d) => d.name);
+  } catch (e) {
+    return [];
+  }
+}
+
+function readMeta(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, META_FILE), "utf8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+function readActive(buildsDir) {
+  try {
+    const active = JSON.parse(fs.readFileSync(path.join(buildsDir, ACTIVE_FILE), "utf8"));
+    return active && isSegment(String(active.name)) && isSegment(String(active.version)) ? active : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Write-then-rename so readers never see a half-written pointer
+function writeActive(buildsDir, active) {
+  const file = path.join(buildsDir, ACTIVE_FILE);
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(active, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+// Byte counts for the loader page's per-file progress. `decodedSize` is what
+// the browser ends up with after Content-Encoding: gzip records it (mod 2^32)
+// in its last four bytes, brotli doesn't record it at all.
+function fileSizes(file) {
+  const { size } = fs.statSync(file);
+  const ext = path.extname(file);
+  if (ext === ".br") {
+    return { size, decodedSize: null };
+  }
+  if (ext !== ".gz") {
+    return { size, decodedSize: size };
+  }
+  if (size < 18) {
+    return { size, decodedSize: null };
+  }
+  const trailer = Buffer.alloc(4);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, trailer, 0, 4, size - 4);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return { size, decodedSize: trailer.readUInt32LE(0) };
+}
+
+// Compression suffix rank: lower is preferred ("" = uncompressed)
+function rank(file, preferred) {
+  const ext = path.extname(file);
+  const idx = preferred.indexOf(ext === ".gz" || ext === ".br" ? ext : "");
+  return idx < 0 ? preferred.length : idx;
+}
+
+// Scan one build directory. Returns null when the loader, framework, wasm or
+// data file is missing.
+function describeBuild(dir, baseUrl, preferred) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter((f) => fs.statSync(path.join(dir, f)).isFile());
+  } catch (e) {
+    return null;
+  }
+
+  const files = {};
+  const sizes = {};
+  for (const [role, pattern] of Object.entries(ROLES)) {
+    const candidates = names
+      .filter((f) => pattern.test(f))
+      .sort((a, b) => rank(a, preferred) - rank(b, preferred));
+    if (candidates.length) {
+      files[role] = `${baseUrl}/${candidates[0]}`;
+      sizes[role] = fileSizes(path.join(dir, candidates[0]));
+    }
+  }
+  if (!REQUIRED_ROLES.every((role) => files[role])) {
+    return null;
+  }
+
+  const meta = readMeta(dir);
+  return {
+    productName: meta.productName || null,
+    companyName: meta.companyName || null,
+    productVersion: meta.productVersion || null,
+    page: meta.page && typeof meta.page === "object" ? meta.page : {},
+    baseUrl,
+    files,
+    sizes,
+  };
+}
+
+/**
+ * List every hostable Unity build.
+ *
+ * - `legacyDir` (public/Build) is reported as build "default", version "current"
+ * - `buildsDir/<name>/<version>/` directories are reported newest version first
+ * - `streamingAssetsUrl` is the build's own StreamingAssets folder, or the
+ *   shared public one
+ * - the default is the build activated through the deploy API, if it still
+ *   exists, otherwise the first build listed
+ *
+ * `preferred` orders the compression suffixes picked when several variants of
+ * the same file exist, e.g. [".br", ".gz", ""].
+ */
+function listBuilds({ legacyDir, buildsDir, preferred }) {
+  const builds = [];
+
+  const legacy = describeBuild(legacyDir, "Build", preferred);
+  if (legacy) {
+    builds.push({ name: "default", version: "current", ...legacy, streamingAssetsUrl: STREAMING_ASSETS_DIR });
+  }
+
+  for (const name of listDirs(buildsDir).sort()) {
+    const versions = listDirs(path.join(buildsDir, name)).sort((a, b) =>
+      b.localeCompare(a, undefined, { numeric: true })
+    );
+    for (const version of versions) {
+      const dir = path.join(buildsDir, name, version);
+      const info = describeBuild(dir, `builds/${encodeURIComponent(name)}/${encodeURIComponent(version)}`, preferred);
+      if (info) {
+        const ownAssets = listDirs(dir).includes(STREAMING_ASSETS_DIR);
+        const streamingAssetsUrl = ownAssets ? `${info.baseUrl}/${STREAMING_ASSETS_DIR}` : STREAMING_ASSETS_DIR;
+        builds.push({ name, version, ...info, streamingAssetsUrl });
+      }
+    }
+  }
+
+  const active = readActive(buildsDir);
+  const current = (active && builds.find((b) => b.name === active.name && b.version === active.version)) || builds[0];
+  return {
+    default: current ? { name: current.name, version: current.version } : null,
+    builds,
+  };
+}
+
+// Build picked by name / version: the newest version of `name` when no
+// version is given, the manifest default when neither is. A version that
+// doesn't exist is null, never some other version of the build.
+function findBuild(manifest, name, version) {
+  if (!name) {
+    if (!manifest.default) return null;
+    name = manifest.default.name;
+    version = version || manifest.default.version;
+  }
+  const matches = manifest.builds.filter((b) => b.name === name);
+  return (version ? matches.find((b) => b.version === version) : matches[0]) || null;
+}
+
+module.exports = {
+  listBuilds,
+  findBuild,
+  readActive,
+  writeActive,
+  isSegment,
+  buildFileRole,
+  resolveBuildFile,
+  ROLES,
+  REQUIRED_ROLES,
+  META_FILE,
+  STREAMING_ASSETS_DIR,
+};
@@ -0,0 +1,132 @@
+// Access log and transfer counters. Bytes are counted as they are written to
+// the response, so 206 ranges, on-the-fly decompression and downloads cut off
+// mid-way all report what actually went out.
+
+function chunkBytes(chunk, encoding) {
+  if (!chunk || typeof chunk === "function") return 0;
+  if (typeof chunk === "string") {
+    return Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : "utf8");
+  }
+  return chunk.length;
+}
+
+function emptyCounters() {
+  return { requests: 0, completed: 0, aborted: 0, notModified: 0, partial: 0, errors: 0, bytes: 0, durationMs: 0 };
+}
+
+function addTo(counters, entry) {
+  counters.requests++;
+  counters[entry.aborted ? "aborted" : "completed"]++;
+  if (entry.status === 304) counters.notModified++;
+  if (entry.status === 206) counters.partial++;
+  if (entry.status >= 400) counters.errors++;
+  counters.bytes += entry.bytes;
+  counters.durationMs += entry.durationMs;
+}
+
+function withAverage(counters) {
+  const avgDurationMs = counters.requests ? Math.round(counters.durationMs / counters.requests) : 0;
+  return { ...counters, durationMs: Math.round(counters.durationMs), avgDurationMs };
+}
+
+/**
+ * `middleware` logs one line per request (config.accessLog === "json") and
+ * feeds the counters; `snapshot()` is what /status reports.
+ *
+ * Build file routes tag their response with `res.locals.buildFile`
+ * ("<name>/<version>/<file>") to get per-file counters.
+ */
+function createMetrics(config) {
+  const startedAt = new Date();
+  const totals = emptyCounters();
+  const byStatus = {};
+  const buildFiles = new Map();
+  let inFlight = 0;
+
+  function record(entry) {
+    addTo(totals, entry);
+    const statusClass = `${Math.floor(entry.status / 100)}xx`;
+    byStatus[statusClass] = (byStatus[statusClass] || 0) + 1;
+
+    if (entry.buildFile) {
+      let counters = buildFiles.get(entry.buildFile);
+      if (!counters) {
+        counters = { ...emptyCounters(), byEncoding: {} };
+        buildFiles.set(entry.buildFile, counters);
+      }
+      addTo(counters, entry);
+      counters.byEncoding[entry.encoding] = (counters.byEncoding[entry.encoding] || 0) + 1;
+    }
+  }
+
+  function middleware(req, res, next) {
+    const start = process.hrtime.bigint();
+    // Read up front: an HTTP/2 stream's socket is gone once it has closed
+    const remote = req.ip || req.socket.remoteAddress;
+    let bytes = 0;
+    const write = res.write;
+    const end = res.end;
+    // The HTTP/2 compat response's end() calls write() for its final chunk
+    let ending = false;
+    res.write = function (chunk, encoding) {
+      if (!ending) bytes += chunkBytes(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+    res.end = function (chunk, encoding) {
+      bytes += chunkBytes(chunk, encoding);
+      ending = true;
+      try {
+        return end.apply(this, arguments);
+      } finally {
+        ending = false;
+      }
+    };
+
+    inFlight++;
+    let done = false;
+    const onDone = () => {
+      if (done) return;
+      done = true;
+      inFlight--;
+
+      const entry = {
+        time: new Date().toISOString(),
+        method: req.method,
+        url: req.originalUrl,
+        httpVersion: req.httpVersion,
+        remote,
+        status: res.statusCode,
+        bytes,
+        durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+        encoding: res.getHeader("Content-Encoding") || "identity",
+        aborted: !res.writableFinished,
+        buildFile: res.locals && res.locals.buildFile,
+      };
+      record(entry);
+      if (config.accessLog === "json") {
+        console.log(JSON.stringify({ ...entry, durationMs: Math.round(entry.durationMs * 10) / 10 }));
+      }
+    };
+    // "finish": fully handed to the OS; "close" without it: client went away
+    res.on("finish", onDone);
+    res.on("close", onDone);
+    next();
+  }
+
+  function snapshot() {
+    return {
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - startedAt.getTime()) / 1000),
+      inFlight,
+      transfer: withAverage(totals),
+      byStatus: { ...byStatus },
+      buildFiles: Object.fromEntries(
+        [...buildFiles].sort(([a], [b]) => a.localeCompare(b)).map(([file, counters]) => [file, withAverage(counters)])
+      ),
+    };
+  }
+
+  return { middleware, snapshot, inFlight: () => inFlight };
+}
+
+module.exports = { createMetrics };
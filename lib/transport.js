@@ -0,0 +1,102 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const { http2Handler } = require("./http2-express");
+
+// Generated development certificates are cached here so devices only need to
+// trust them once
+const CERT_DIR = path.join(__dirname, "..", ".certs");
+const CERT_DAYS = 365;
+
+// Every hostname / address a device on the LAN might use to reach us
+function localHosts() {
+  const hosts = ["localhost", "127.0.0.1", "::1", os.hostname()];
+  for (const addrs of Object.values(os.networkInterfaces())) {
+    for (const addr of addrs || []) {
+      if (!addr.internal) hosts.push(addr.address);
+    }
+  }
+  return [...new Set(hosts)].sort();
+}
+
+function isIP(host) {
+  return /^[\d.]+$/.test(host) || host.includes(":");
+}
+
+// Self-signed certificate for local development, regenerated when it expires
+// or when the machine's addresses change (e.g. joining another Wi-Fi)
+async function selfSignedCert() {
+  const keyFile = path.join(CERT_DIR, "selfsigned.key.pem");
+  const certFile = path.join(CERT_DIR, "selfsigned.cert.pem");
+  const metaFile = path.join(CERT_DIR, "selfsigned.json");
+  const hosts = localHosts();
+
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaFile, "utf8"));
+    if (meta.hosts.join(",") === hosts.join(",") && Date.parse(meta.expires) > Date.now() + 24 * 60 * 60 * 1000) {
+      return { key: fs.readFileSync(keyFile), cert: fs.readFileSync(certFile), selfSigned: true, hosts };
+    }
+  } catch (e) {
+    // missing or unreadable cache -> generate below
+  }
+
+  // Loaded lazily: only needed for local HTTPS without a supplied certificate
+  const selfsigned = require("selfsigned");
+  const expires = new Date(Date.now() + CERT_DAYS * 24 * 60 * 60 * 1000);
+  const pems = await selfsigned.generate([{ name: "commonName", value: "localhost" }], {
+    keySize: 2048,
+    algorithm: "sha256",
+    notAfterDate: expires,
+    extensions: [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+      { name: "extKeyUsage", serverAuth: true },
+      {
+        name: "subjectAltName",
+        altNames: hosts.map((h) => (isIP(h) ? { type: 7, ip: h } : { type: 2, value: h })),
+      },
+    ],
+  });
+
+  fs.mkdirSync(CERT_DIR, { recursive: true });
+  fs.writeFileSync(keyFile, pems.private, { mode: 0o600 });
+  fs.writeFileSync(certFile, pems.cert);
+  fs.writeFileSync(metaFile, JSON.stringify({ hosts, expires: expires.toISOString() }, null, 2));
+  return { key: pems.private, cert: pems.cert, selfSigned: true, hosts };
+}
+
+async function loadCredentials(config) {
+  if (config.tlsCert) {
+    return { key: fs.readFileSync(config.tlsKey), cert: fs.readFileSync(config.tlsCert), selfSigned: false };
+  }
+  return selfSignedCert();
+}
+
+/**
+ * Create the listening server for `config.protocol`:
+ *
+ * - "http":  plain HTTP/1.1
+ * - "https": HTTP/1.1 over TLS (needed for getUserMedia on LAN addresses)
+ * - "http2": HTTP/2 over TLS, falling back to HTTP/1.1 for older clients
+ *
+ * TLS modes use config.tlsCert / config.tlsKey, or a cached self-signed
+ * certificate covering localhost and this machine's LAN addresses.
+ */
+async function createServer(app, config) {
+  if (config.protocol === "http") {
+    return { server: http.createServer(app), scheme: "http", credentials: null };
+  }
+
+  const credentials = await loadCredentials(config);
+  const options = { key: credentials.key, cert: credentials.cert };
+  const server =
+    config.protocol === "http2"
+      ? http2.createSecureServer({ ...options, allowHTTP1: true }, http2Handler(app))
+      : https.createServer(options, app);
+  return { server, scheme: "https", credentials };
+}
+
+module.exports = { createServer, localHosts };
@@ -0,0 +1,170 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const express = require("express");
+const { HttpError } = require("./errors");
+
+// Accepted image types: MIME -> stored extension + magic-byte check.
+// The declared Content-Type must match what the bytes actually are.
+const IMAGE_TYPES = {
+  "image/jpeg": { ext: ".jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  "image/png": {
+    ext: ".png",
+    test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/webp": {
+    ext: ".webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+};
+
+const ID_PATTERN = /^[0-9a-f]{32}$/;
+
+function findStoredImage(dir, id) {
+  for (const [type, { ext }] of Object.entries(IMAGE_TYPES)) {
+    const file = path.join(dir, id + ext);
+    if (fs.existsSync(file)) return { file, type };
+  }
+  return null;
+}
+
+// Total size of the stored images (temp files from unfinished uploads too)
+async function directorySize(dir) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return 0;
+    throw e;
+  }
+  let total = 0;
+  for (const name of names) {
+    const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+    if (stat && stat.isFile()) total += stat.size;
+  }
+  return total;
+}
+
+// Fixed one-minute window per client address; `limit` 0 disables it
+function createRateLimiter(limit) {
+  const windows = new Map(); // ip -> { count, resetAt }
+  return (ip) => {
+    if (!limit) return 0;
+    const now = Date.now();
+    if (windows.size > 10000) {
+      for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+    }
+    let w = windows.get(ip);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + 60 * 1000 };
+      windows.set(ip, w);
+    }
+    w.count++;
+    return w.count > limit ? Math.ceil((w.resetAt - now) / 1000) : 0;
+  };
+}
+
+/**
+ * Image upload API, mounted at /api/images:
+ *
+ * - POST /      raw image body (Content-Type image/jpeg|png|webp, at most
+ *               config.uploadMaxBytes) -> 201 { id, url, size, mimeType }
+ *               429 past config.uploadRateLimit uploads a minute per client,
+ *               507 once the stored images reach config.uploadQuotaBytes
+ * - GET  /:id   the stored image, cacheable forever (ids are never reused)
+ */
+function createImageRouter(config) {
+  const router = express.Router();
+  const dir = config.uploadDir;
+  const rateLimited = createRateLimiter(config.uploadRateLimit);
+
+  // Bytes stored in `dir`, counted once and then kept up to date. Uploads
+  // reserve their size before writing so concurrent ones can't overshoot.
+  let usedBytes = null;
+  let counting = null;
+  async function checkQuota(size, reserve) {
+    if (usedBytes === null) {
+      counting = counting || directorySize(dir).then(
+        (total) => (usedBytes = total),
+        (e) => {
+          counting = null;
+          throw e;
+        }
+      );
+      await counting;
+    }
+    if (usedBytes + size > config.uploadQuotaBytes) {
+      throw new HttpError(507, "quota_exceeded", "Image storage quota reached");
+    }
+    if (reserve) usedBytes += size;
+  }
+
+  // Everything that can be decided from the headers, before the body is read
+  async function checkUpload(req, res, next) {
+    const retryAfter = rateLimited(req.ip);
+    if (retryAfter) {
+      res.setHeader("Retry-After", String(retryAfter));
+      throw new HttpError(429, "too_many_requests", "Too many uploads, try again later");
+    }
+    const mimeType = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+    if (!IMAGE_TYPES[mimeType]) {
+      throw new HttpError(
+        415,
+        "unsupported_media_type",
+        `Content-Type must be one of ${Object.keys(IMAGE_TYPES).join(", ")}`
+      );
+    }
+    await checkQuota(Number(req.get("Content-Length")) || 0, false);
+    req.imageType = IMAGE_TYPES[mimeType];
+    req.imageMimeType = mimeType;
+    next();
+  }
+
+  router.post(
+    "/",
+    checkUpload,
+    express.raw({ type: Object.keys(IMAGE_TYPES), limit: config.uploadMaxBytes }),
+    async (req, res) => {
+      const mimeType = req.imageMimeType;
+      const imageType = req.imageType;
+      const body = req.body;
+      if (!Buffer.isBuffer(body) || body.length === 0) {
+        throw new HttpError(400, "empty_body", "Request body is empty");
+      }
+      if (!imageType.test(body)) {
+        throw new HttpError(415, "type_mismatch", `Body is not a valid ${mimeType} image`);
+      }
+
+      await checkQuota(body.length, true);
+      const id = crypto.randomBytes(16).toString("hex");
+      const file = path.join(dir, id + imageType.ext);
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(tmp, body);
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        usedBytes -= body.length;
+        await fs.promises.rm(tmp, { force: true });
+        throw e;
+      }
+
+      const url = `${req.baseUrl}/${id}`;
+      res.status(201).location(url).json({ id, url, size: body.length, mimeType });
+    }
+  );
+
+  router.get("/:id", (req, res) => {
+    const { id } = req.params;
+    const stored = ID_PATTERN.test(id) ? findStoredImage(dir, id) : null;
+    if (!stored) {
+      throw new HttpError(404, "not_found", "Image not found");
+    }
+    res.setHeader("Content-Type", stored.type);
+    res.sendFile(stored.file, { maxAge: "1y", immutable: true });
+  });
+
+  return router;
+}
+
+module.exports = { createImageRouter };
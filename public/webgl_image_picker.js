@@ -5,21 +5,175 @@
    - Resize/compress image client-side, chunk base64, send to Unity:
        GameObject: "ImageReceiver"
        Methods: "OnImageChunk", "OnImageTransferComplete"
-   - Added: single-file only, and min-dimension check (MIN_SIZE)
+   - Added: min-dimension check (minSize), EXIF auto-rotation
+   - Options (DEFAULT_OPTIONS) set from Unity with WebGLImagePicker_Configure(json);
+     OpenGallery(maxCount, json) / OpenCamera(json) take per-call overrides:
+       gameObject, callbacks { chunk, complete, start, progress, metadata,
+       permissionDenied }, format ("jpeg" | "png" | "webp"), maxWidth, maxHeight,
+       quality, minSize, squareCrop, maxBytes (+ minQuality), chunkSize,
+       chunksPerFrame, transferMode
+   - Gallery multi-select: WebGLImagePicker_OpenGallery(maxCount); every picked
+     image is its own transfer, preceded by
+       "OnImageMetadata" JSON { id, index, count, name, type, size,
+                                originalWidth, originalHeight, orientation,
+                                width, height, resizedSize, resizedType, quality }
+   - Errors / cancellation (no alert() unless showAlerts is true):
+       "OnImageError"          JSON { code, message, id, name, index, count, details }
+                               code: too_small | decode_failed | unsupported_type |
+                                     permission_denied | upload_failed | processing_failed
+       "OnImagePickCancelled"  JSON { source: "gallery" | "camera" }
+                               (guessed from focus where the browser has no file
+                               input "cancel" event: files may still follow)
+     `message` comes from MESSAGES[locale] ("vi", "en"), overridable per code via
+     the `messages` option; {width} {height} {minSize} {type} are filled in.
+   - Transfers (one at a time; overlapping Open* calls are queued):
+       "OnImageTransferStart"    JSON { id, mode, size, mimeType, width, height,
+                                        base64Length, chunkSize, chunkCount, url, imageId }
+       "OnImageTransferProgress" JSON { id, sent, total, progress }  (base64 mode)
+       "OnImageTransferComplete" transfer id
+     Modes (option transferMode, or WebGLImagePicker_SetTransferMode):
+       "base64" - base64 chunks via OnImageChunk, a few per animation frame
+       "url"    - no chunks; Unity fetches `url` (blob: object URL) itself
+       "heap"   - no chunks; Unity allocates `size` bytes and calls
+                  WebGLImagePicker_CopyTransfer(id, ptr, size) to receive raw bytes
+       "upload" - image is POSTed to the server (UPLOAD_URL); Unity only gets
+                  the stored image's `imageId` and absolute `url`, which survive reloads
+     "url" / "heap" data stays alive until WebGLImagePicker_ReleaseTransfer(id)
+     or TRANSFER_TTL_MS, whichever comes first.
 */
 
 (function () {
   // ----- Config -----
-  const UNITY_GAMEOBJECT = "ImageReceiver";
-  const UNITY_METHOD_CHUNK = "OnImageChunk";
-  const UNITY_METHOD_DONE = "OnImageTransferComplete";
-  const CHUNK_SIZE = 32 * 1024; // 32KB per chunk
-  const MAX_WIDTH = 1280; // resize max width (tweak if you want)
-  const MAX_HEIGHT = 1280;
-  const JPEG_QUALITY = 0.85;
+  // Defaults for every runtime option (see WebGLImagePicker_Configure)
+  const DEFAULT_OPTIONS = {
+    gameObject: "ImageReceiver",
+    callbacks: {
+      chunk: "OnImageChunk",
+      complete: "OnImageTransferComplete",
+      start: "OnImageTransferStart",
+      progress: "OnImageTransferProgress",
+      metadata: "OnImageMetadata",
+      permissionDenied: "OnCameraPermissionDenied",
+      error: "OnImageError",
+      cancelled: "OnImagePickCancelled",
+    },
+    format: "jpeg", // output: "jpeg" | "png" | "webp"
+    maxWidth: 1280, // resize max width (tweak if you want)
+    maxHeight: 1280,
+    quality: 0.85, // jpeg / webp encoder quality
+    // NEW: minimum allowed dimension (either width or height must be >= minSize)
+    minSize: 200, // pixels, change if you want
+    squareCrop: false, // center-crop to a square before resizing
+    maxBytes: 0, // > 0: lower quality, then size, until the encoded image fits
+    minQuality: 0.4, // quality floor used while fitting maxBytes
+    chunkSize: 32 * 1024, // 32KB per chunk
+    chunksPerFrame: 4, // base64 chunks sent per animation frame
+    transferMode: "base64",
+    showAlerts: false, // also alert() error messages (old behaviour)
+    locale: "vi", // key of MESSAGES
+    messages: {}, // per-code overrides of the locale's messages
+  };
+
+  // Error messages by locale; placeholders: {width} {height} {minSize} {type}
+  const MESSAGES = {
+    vi: {
+      too_small: "Ảnh quá nhỏ: kích thước thực tế {width}x{height}px. Vui lòng chọn ảnh có chiều rộng và chiều cao tối thiểu {minSize}px.",
+      decode_failed: "Không thể đọc ảnh. Vui lòng chọn ảnh khác.",
+      unsupported_type: "Định dạng tệp không được hỗ trợ ({type}). Vui lòng chọn một tệp ảnh.",
+      permission_denied: "Không thể mở camera. Hãy kiểm tra quyền truy cập hoặc trình duyệt.",
+      upload_failed: "Không thể tải ảnh lên máy chủ. Vui lòng thử lại.",
+      processing_failed: "Không thể xử lý ảnh. Kiểm tra console.",
+    },
+    en: {
+      too_small: "Image too small: {width}x{height}px. Please pick an image at least {minSize}px wide and high.",
+      decode_failed: "This image could not be read. Please pick another one.",
+      unsupported_type: "Unsupported file type ({type}). Please pick an image file.",
+      permission_denied: "The camera could not be opened. Check the camera permission or the browser.",
+      upload_failed: "The image could not be uploaded. Please try again.",
+      processing_failed: "The image could not be processed. See the console for details.",
+    },
+  };
+
+  const TRANSFER_TTL_MS = 60 * 1000; // "url" / "heap" data released after this
+  const UPLOAD_URL = "api/images"; // server.js image upload API (relative to the page)
+  const MAX_SELECTION = 20; // upper bound for WebGLImagePicker_OpenGallery(maxCount)
+  const HEADER_BYTES = 256 * 1024; // JPEG bytes read to find EXIF + frame size
+  const OUTPUT_TYPES = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+  const TRANSFER_MODES = ["base64", "url", "heap", "upload"];
+  const QUALITY_STEP = 0.1; // maxBytes: quality decrement per attempt
+  const SCALE_STEP = 0.8; // maxBytes: size factor per attempt once quality hits minQuality
+  const MAX_ENCODE_ATTEMPTS = 12;
+  const CANCEL_FOCUS_DELAY_MS = 1000; // focus came back without a file -> picker cancelled
+
+  // ----- Options -----
+  // Each rule returns the accepted value or undefined (value rejected)
+  const isPositiveInt = (v) => (Number.isInteger(v) && v > 0 ? v : undefined);
+  const OPTION_RULES = {
+    gameObject: (v) => (typeof v === "string" && v ? v : undefined),
+    format: (v) => (typeof v === "string" && OUTPUT_TYPES[v.toLowerCase()] ? v.toLowerCase() : undefined),
+    maxWidth: isPositiveInt,
+    maxHeight: isPositiveInt,
+    quality: (v) => (typeof v === "number" && v > 0 && v <= 1 ? v : undefined),
+    minSize: (v) => (Number.isInteger(v) && v >= 0 ? v : undefined),
+    squareCrop: (v) => (typeof v === "boolean" ? v : undefined),
+    maxBytes: (v) => (Number.isInteger(v) && v >= 0 ? v : undefined),
+    minQuality: (v) => (typeof v === "number" && v > 0 && v <= 1 ? v : undefined),
+    chunkSize: isPositiveInt,
+    chunksPerFrame: isPositiveInt,
+    transferMode: (v) => (TRANSFER_MODES.includes(v) ? v : undefined),
+    showAlerts: (v) => (typeof v === "boolean" ? v : undefined),
+    locale: (v) => (typeof v === "string" && MESSAGES[v] ? v : undefined),
+  };
+  // Object-valued options, merged key by key; entries must be non-empty strings
+  const NESTED_OPTIONS = {
+    callbacks: (name) => name in DEFAULT_OPTIONS.callbacks,
+    messages: (name) => name in MESSAGES.en,
+  };
+
+  let settings = mergeOptions(DEFAULT_OPTIONS, {});
+
+  // Accepts a JSON string (from Unity) or an object; bad JSON gives {}
+  function parseOptions(json) {
+    if (!json) return {};
+    if (typeof json === "object") return json;
+    try {
+      const parsed = JSON.parse(json);
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (e) {
+      console.warn("WebGLImagePicker: invalid options JSON", e);
+      return {};
+    }
+  }
+
+  // `base` with `overrides` applied; invalid or unknown values are skipped with a warning
+  function mergeOptions(base, overrides) {
+    const result = { ...base, callbacks: { ...base.callbacks }, messages: { ...base.messages } };
+    for (const key of Object.keys(overrides)) {
+      const value = overrides[key];
+      if (NESTED_OPTIONS[key] && value && typeof value === "object") {
+        for (const name of Object.keys(value)) {
+          if (NESTED_OPTIONS[key](name) && typeof value[name] === "string" && value[name]) {
+            result[key][name] = value[name];
+          } else {
+            console.warn(`WebGLImagePicker: ignoring ${key}.${name}`);
+          }
+        }
+        continue;
+      }
+      const accepted = OPTION_RULES[key] ? OPTION_RULES[key](value) : undefined;
+      if (accepted === undefined) {
+        console.warn(`WebGLImagePicker: ignoring option ${key}=${JSON.stringify(value)}`);
+      } else {
+        result[key] = accepted;
+      }
+    }
+    return result;
+  }
 
-  // NEW: minimum allowed dimension (either width or height must be >= MIN_SIZE)
-  const MIN_SIZE = 200; // pixels, change if you want
+  function configure(json) {
+    settings = mergeOptions(settings, parseOptions(json));
+    return settings;
+  }
 
   // ----- Small DOM helpers -----
   function qsel(id) { return document.getElementById(id); }
@@ -76,105 +230,440 @@
   // }
 
   // ----- Unity send helpers -----
-  function sendChunkToUnity(chunk) {
+  // `callback` is a key of opts.callbacks (e.g. "chunk"), mapped to the Unity method name
+  function sendToUnity(opts, callback, payload) {
+    const method = opts.callbacks[callback];
     try {
       if (window.unityInstance && window.unityInstance.SendMessage) {
-        window.unityInstance.SendMessage(UNITY_GAMEOBJECT, UNITY_METHOD_CHUNK, chunk);
+        window.unityInstance.SendMessage(opts.gameObject, method, payload);
       } else if (window.SendMessage) {
-        window.SendMessage(UNITY_GAMEOBJECT, UNITY_METHOD_CHUNK, chunk);
+        window.SendMessage(opts.gameObject, method, payload);
       } else {
-        console.warn("Unity instance not ready; chunk not sent now.");
+        console.warn(`Unity instance not ready; ${method} not sent.`);
       }
     } catch (e) {
-      console.error("SendMessage error:", e);
+      console.error(`SendMessage ${method} error:`, e);
     }
   }
 
-  function notifyUnityComplete() {
-    try {
-      if (window.unityInstance && window.unityInstance.SendMessage) {
-        window.unityInstance.SendMessage(UNITY_GAMEOBJECT, UNITY_METHOD_DONE, "");
-      } else if (window.SendMessage) {
-        window.SendMessage(UNITY_GAMEOBJECT, UNITY_METHOD_DONE, "");
-      } else {
-        console.warn("Unity instance not ready for complete notify.");
-      }
-    } catch (e) {
-      console.error("NotifyComplete error:", e);
-    }
+  function sendChunkToUnity(chunk, opts = settings) {
+    sendToUnity(opts, "chunk", chunk);
   }
 
-  // ----- Image processing (resize + toDataURL) -----
-  function stripDataUrlPrefix(dataUrl) {
-    const idx = dataUrl.indexOf("base64,");
-    return idx >= 0 ? dataUrl.substring(idx + 7) : dataUrl;
+  function notifyUnityComplete(id, opts = settings) {
+    sendToUnity(opts, "complete", id || "");
   }
 
-  // This function first checks the original image dimensions and rejects if either dimension < MIN_SIZE
-  function resizeFileToDataUrl(file, maxW = MAX_WIDTH, maxH = MAX_HEIGHT, quality = JPEG_QUALITY) {
+  // ----- Errors -----
+  function pickerError(code, details = {}) {
+    const err = new Error(code);
+    err.code = code;
+    err.details = details;
+    return err;
+  }
+
+  function localizedMessage(opts, code, details) {
+    const template = opts.messages[code] || (MESSAGES[opts.locale] || MESSAGES.en)[code] || code;
+    return template.replace(/\{(\w+)\}/g, (m, name) => (name in details ? String(details[name]) : m));
+  }
+
+  // OnImageError for `err` (pickerError codes; anything else is processing_failed).
+  // `context` adds the transfer id / file name / selection index when known.
+  function reportError(opts, err, context = {}) {
+    const code = err && err.code && MESSAGES.en[err.code] ? err.code : "processing_failed";
+    const details = (err && err.details) || {};
+    if (code === "processing_failed") console.error("WebGLImagePicker error:", err);
+    const message = localizedMessage(opts, code, details);
+    sendToUnity(opts, "error", JSON.stringify({
+      code,
+      message,
+      id: context.id || null,
+      name: context.name || null,
+      index: context.index === undefined ? null : context.index,
+      count: context.count === undefined ? null : context.count,
+      details,
+    }));
+    if (opts.showAlerts) alert(message);
+  }
+
+  // ----- Image processing (resize + toBlob) -----
+  function blobToBase64(blob) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onerror = reject;
       reader.onload = () => {
-        const img = new Image();
-        img.onerror = reject;
-        img.onload = () => {
-          const origW = img.width, origH = img.height;
-          // If either width OR height is smaller than MIN_SIZE, reject
-          if (origW < MIN_SIZE || origH < MIN_SIZE) {
-            const err = new Error("MIN_DIMENSION");
-            err.width = origW;
-            err.height = origH;
-            return reject(err);
-          }
+        const dataUrl = reader.result;
+        const idx = dataUrl.indexOf("base64,");
+        resolve(idx >= 0 ? dataUrl.substring(idx + 7) : dataUrl);
+      };
+      reader.readAsDataURL(blob);
+    });
+  }
 
-          let w = origW, h = origH;
-          const aspect = w / h;
-          if (w > maxW) { w = maxW; h = Math.round(w / aspect); }
-          if (h > maxH) { h = maxH; w = Math.round(h * aspect); }
-          const cvs = document.createElement("canvas");
-          cvs.width = w;
-          cvs.height = h;
-          const ctx = cvs.getContext("2d");
-          ctx.drawImage(img, 0, 0, w, h);
-          cvs.toBlob(blob => {
-            if (!blob) {
-              reject(new Error("Canvas toBlob returned null"));
-              return;
-            }
-            const r2 = new FileReader();
-            r2.onerror = reject;
-            r2.onload = () => resolve(r2.result);
-            r2.readAsDataURL(blob);
-          }, "image/jpeg", quality);
-        };
-        img.src = reader.result;
+  // ----- EXIF orientation -----
+  // Reads the EXIF Orientation tag (1-8) and the stored (unrotated) frame size
+  // from a JPEG's header segments. Anything else gives { orientation: 1 }.
+  function readJpegInfo(buffer) {
+    const view = new DataView(buffer);
+    const info = { orientation: 1, width: 0, height: 0 };
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return info;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00) break;
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+        info.orientation = readExifOrientation(view, offset + 10) || 1;
+      } else if (marker >= 0xffc0 && marker <= 0xffcf && marker !== 0xffc4 && marker !== 0xffc8 && marker !== 0xffcc) {
+        // SOFn: precision(1) height(2) width(2)
+        if (offset + 9 <= view.byteLength) {
+          info.height = view.getUint16(offset + 5);
+          info.width = view.getUint16(offset + 7);
+        }
+        break;
+      }
+      offset += 2 + length;
+    }
+    return info;
+  }
+
+  function readExifOrientation(view, tiff) {
+    if (tiff + 8 > view.byteLength) return 0;
+    const little = view.getUint16(tiff) === 0x4949; // "II"
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    if (ifd + 2 > view.byteLength) return 0;
+    const entries = view.getUint16(ifd, little);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (entry + 12 > view.byteLength) return 0;
+      if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
+    }
+    return 0;
+  }
+
+  async function readFileOrientation(file) {
+    try {
+      return readJpegInfo(await file.slice(0, HEADER_BYTES).arrayBuffer());
+    } catch (e) {
+      return { orientation: 1, width: 0, height: 0 };
+    }
+  }
+
+  // Modern browsers already rotate <img> by EXIF (image-orientation: from-image).
+  // For orientations that swap width/height we can tell from the decoded size;
+  // otherwise trust CSS support for image-orientation.
+  function browserAppliedOrientation(img, info) {
+    if (info.orientation >= 5 && info.width && info.height && info.width !== info.height) {
+      return img.naturalWidth === info.height && img.naturalHeight === info.width;
+    }
+    return !!(window.CSS && CSS.supports && CSS.supports("image-orientation", "from-image"));
+  }
+
+  // Canvas transform drawing a raw (unrotated) image upright into a w x h canvas
+  function applyOrientation(ctx, orientation, w, h) {
+    switch (orientation) {
+      case 2: ctx.transform(-1, 0, 0, 1, w, 0); break;
+      case 3: ctx.transform(-1, 0, 0, -1, w, h); break;
+      case 4: ctx.transform(1, 0, 0, -1, 0, h); break;
+      case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+      case 6: ctx.transform(0, 1, -1, 0, w, 0); break;
+      case 7: ctx.transform(0, -1, -1, 0, w, h); break;
+      case 8: ctx.transform(0, -1, 1, 0, 0, h); break;
+    }
+  }
+
+  function canvasToBlob(cvs, type, quality) {
+    return new Promise((resolve, reject) => {
+      cvs.toBlob(blob => {
+        if (!blob) reject(pickerError("processing_failed", { reason: "Canvas toBlob returned null" }));
+        else resolve(blob);
+      }, type, quality);
+    });
+  }
+
+  // Encode with `draw(w, h)` -> canvas. With opts.maxBytes, retry at lower
+  // quality (jpeg/webp) down to opts.minQuality, then at smaller sizes, until
+  // the result fits; the last attempt is kept if nothing does.
+  async function encodeWithinBudget(draw, w, h, opts) {
+    const type = OUTPUT_TYPES[opts.format];
+    const lossy = opts.format !== "png";
+    let quality = opts.quality;
+    let scale = 1;
+    for (let attempt = 1; ; attempt++) {
+      const cw = Math.max(1, Math.round(w * scale));
+      const ch = Math.max(1, Math.round(h * scale));
+      const blob = await canvasToBlob(draw(cw, ch), type, lossy ? quality : undefined);
+      if (!opts.maxBytes || blob.size <= opts.maxBytes || attempt >= MAX_ENCODE_ATTEMPTS) {
+        return { blob, width: cw, height: ch, quality: lossy ? quality : 1 };
+      }
+      if (lossy && quality - QUALITY_STEP >= opts.minQuality - 1e-9) {
+        quality = Math.round((quality - QUALITY_STEP) * 100) / 100;
+      } else {
+        scale *= SCALE_STEP;
+      }
+    }
+  }
+
+  function loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const img = new Image();
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(pickerError("decode_failed", { type: file.type || "unknown" }));
+      };
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
       };
-      reader.readAsDataURL(file);
+      img.src = url;
     });
   }
 
-  // ----- Send image (base64 chunked) -----
-  async function sendBase64ToUnity(base64String) {
-    for (let i = 0; i < base64String.length; i += CHUNK_SIZE) {
-      const chunk = base64String.substr(i, CHUNK_SIZE);
-      sendChunkToUnity(chunk);
+  // This function first checks the original image dimensions and rejects if either dimension < minSize
+  async function resizeFileToBlob(file, opts = settings) {
+    const exif = await readFileOrientation(file);
+    const img = await loadImage(file);
+
+    const rotate = exif.orientation > 1 && !browserAppliedOrientation(img, exif);
+    const swap = rotate && exif.orientation >= 5;
+    // Upright size of the original photo
+    const origW = swap ? img.naturalHeight : img.naturalWidth;
+    const origH = swap ? img.naturalWidth : img.naturalHeight;
+    // If either width OR height is smaller than minSize, reject
+    if (origW < opts.minSize || origH < opts.minSize) {
+      throw pickerError("too_small", { width: origW, height: origH, minSize: opts.minSize });
+    }
+
+    // Source region in upright coordinates (centered square with squareCrop)
+    const side = Math.min(origW, origH);
+    const src = opts.squareCrop
+      ? { x: (origW - side) / 2, y: (origH - side) / 2, w: side, h: side }
+      : { x: 0, y: 0, w: origW, h: origH };
+
+    let w = src.w, h = src.h;
+    const aspect = w / h;
+    if (w > opts.maxWidth) { w = opts.maxWidth; h = Math.round(w / aspect); }
+    if (h > opts.maxHeight) { h = opts.maxHeight; w = Math.round(h * aspect); }
+
+    const draw = (cw, ch) => {
+      const cvs = document.createElement("canvas");
+      cvs.width = cw;
+      cvs.height = ch;
+      const ctx = cvs.getContext("2d");
+      const k = cw / src.w;
+      // Place the whole upright image so that the source region fills the canvas
+      ctx.translate(-src.x * k, -src.y * k);
+      if (rotate) applyOrientation(ctx, exif.orientation, origW * k, origH * k);
+      ctx.drawImage(img, 0, 0, (swap ? origH : origW) * k, (swap ? origW : origH) * k);
+      return cvs;
+    };
+    const encoded = await encodeWithinBudget(draw, w, h, opts);
+
+    return {
+      ...encoded,
+      originalWidth: origW,
+      originalHeight: origH,
+      orientation: exif.orientation,
+    };
+  }
+
+  // ----- Transfers -----
+  let transferCounter = 0;
+  const pendingTransfers = new Map(); // id -> { url, bytes, timer }
+
+  function nextTransferId() {
+    transferCounter += 1;
+    return `img-${Date.now().toString(36)}-${transferCounter}`;
+  }
+
+  // Yield to the browser (and Unity's frame loop) between batches.
+  // requestAnimationFrame is paused in background tabs, so fall back to a timer.
+  function nextFrame() {
+    return new Promise(resolve => {
+      if (document.hidden || typeof requestAnimationFrame !== "function") setTimeout(resolve, 0);
+      else requestAnimationFrame(() => resolve());
+    });
+  }
+
+  // OnImageChunk carries no transfer id, so transfers must never interleave:
+  // every picked selection (and every public send helper) waits its turn here
+  let transferQueue = Promise.resolve();
+
+  function enqueueTransfer(task) {
+    const run = transferQueue.then(task);
+    transferQueue = run.catch(() => {});
+    return run;
+  }
+
+  function queued(fn) {
+    return (...args) => enqueueTransfer(() => fn(...args));
+  }
+
+  function setTransferMode(mode) {
+    if (!TRANSFER_MODES.includes(mode)) {
+      console.warn(`Unknown transfer mode "${mode}", keeping "${settings.transferMode}"`);
+      return false;
     }
-    notifyUnityComplete();
+    configure({ transferMode: mode });
+    return true;
   }
 
-  async function sendFileToUnity(file) {
+  function keepTransfer(id, entry) {
+    entry.timer = setTimeout(() => releaseTransfer(id), TRANSFER_TTL_MS);
+    pendingTransfers.set(id, entry);
+  }
+
+  function releaseTransfer(id) {
+    const entry = pendingTransfers.get(id);
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    if (entry.url) URL.revokeObjectURL(entry.url);
+    pendingTransfers.delete(id);
+    return true;
+  }
+
+  // "heap" mode: copy the raw bytes into Unity's memory at `ptr`.
+  // Returns the number of bytes copied (0 if the id is unknown or expired).
+  function copyTransferToHeap(id, ptr, length, heap) {
+    const entry = pendingTransfers.get(id);
+    if (!entry || !entry.bytes) return 0;
+    // Read HEAPU8 at call time: it is replaced whenever Unity's memory grows
+    const target = heap || (window.unityInstance && window.unityInstance.Module && window.unityInstance.Module.HEAPU8);
+    if (!target) {
+      console.error("CopyTransfer: Unity heap not available");
+      return 0;
+    }
+    const count = Math.min(length, entry.bytes.length);
+    target.set(entry.bytes.subarray(0, count), ptr);
+    releaseTransfer(id);
+    return count;
+  }
+
+  // "upload" mode: store the image on the server, resolve to { id, url, ... }
+  async function uploadBlob(blob) {
+    let response;
     try {
-      const dataUrl = await resizeFileToDataUrl(file);
-      const base64 = stripDataUrlPrefix(dataUrl);
-      await sendBase64ToUnity(base64);
+      response = await fetch(UPLOAD_URL, {
+        method: "POST",
+        headers: { "Content-Type": blob.type },
+        body: blob,
+      });
     } catch (e) {
-      if (e && e.message === "MIN_DIMENSION") {
-        alert(`Ảnh quá nhỏ: kích thước thực tế ${e.width}x${e.height}px. Vui lòng chọn ảnh có chiều rộng và chiều cao tối thiểu ${MIN_SIZE}px.`);
-        return;
+      throw pickerError("upload_failed", { reason: e.message });
+    }
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result || !result.id) {
+      const reason = result && result.error ? result.error.message : `HTTP ${response.status}`;
+      throw pickerError("upload_failed", { status: response.status, reason });
+    }
+    return { ...result, url: new URL(result.url, window.location.href).href };
+  }
+
+  // ----- Send image (base64 chunked) -----
+  // Chunks go out opts.chunksPerFrame at a time with a progress report after
+  // each batch, so large photos don't stall a single Unity frame.
+  async function sendBase64ToUnity(base64String, id = nextTransferId(), opts = settings) {
+    const total = base64String.length;
+    const batch = opts.chunkSize * opts.chunksPerFrame;
+    for (let i = 0; i < total; i += batch) {
+      const end = Math.min(i + batch, total);
+      for (let j = i; j < end; j += opts.chunkSize) {
+        sendChunkToUnity(base64String.substring(j, Math.min(j + opts.chunkSize, end)), opts);
       }
-      console.error("sendFileToUnity error:", e);
-      alert("Không thể xử lý ảnh. Kiểm tra console.");
+      sendToUnity(opts, "progress", JSON.stringify({ id, sent: end, total, progress: total ? end / total : 1 }));
+      if (end < total) await nextFrame();
+    }
+    notifyUnityComplete(id, opts);
+  }
+
+  async function sendBlobToUnity(blob, info = {}, opts = settings) {
+    const id = info.id || nextTransferId();
+    const mode = opts.transferMode;
+    const start = {
+      id,
+      mode,
+      size: blob.size,
+      mimeType: blob.type,
+      width: info.width || 0,
+      height: info.height || 0,
+      base64Length: 0,
+      chunkSize: 0,
+      chunkCount: 0,
+      url: null,
+      imageId: null,
+    };
+
+    if (mode === "upload") {
+      const uploaded = await uploadBlob(blob);
+      sendToUnity(opts, "start", JSON.stringify({ ...start, url: uploaded.url, imageId: uploaded.id }));
+      notifyUnityComplete(id, opts);
+      return id;
+    }
+
+    if (mode === "url") {
+      const url = URL.createObjectURL(blob);
+      keepTransfer(id, { url });
+      sendToUnity(opts, "start", JSON.stringify({ ...start, url }));
+      notifyUnityComplete(id, opts);
+      return id;
+    }
+
+    if (mode === "heap") {
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      keepTransfer(id, { bytes });
+      sendToUnity(opts, "start", JSON.stringify(start));
+      notifyUnityComplete(id, opts);
+      return id;
+    }
+
+    const base64 = await blobToBase64(blob);
+    sendToUnity(opts, "start", JSON.stringify({
+      ...start,
+      base64Length: base64.length,
+      chunkSize: opts.chunkSize,
+      chunkCount: Math.ceil(base64.length / opts.chunkSize),
+    }));
+    await sendBase64ToUnity(base64, id, opts);
+    return id;
+  }
+
+  // `index` / `count` place the file within a multi-image selection
+  async function sendFileToUnity(file, index = 0, count = 1, opts = settings) {
+    const id = nextTransferId();
+    try {
+      // Empty type: some platforms don't report one; let the decoder decide
+      if (file.type && !file.type.startsWith("image/")) {
+        throw pickerError("unsupported_type", { type: file.type });
+      }
+      const resized = await resizeFileToBlob(file, opts);
+      sendToUnity(opts, "metadata", JSON.stringify({
+        id,
+        index,
+        count,
+        name: file.name || "",
+        type: file.type || "",
+        size: file.size,
+        originalWidth: resized.originalWidth,
+        originalHeight: resized.originalHeight,
+        orientation: resized.orientation,
+        width: resized.width,
+        height: resized.height,
+        resizedSize: resized.blob.size,
+        resizedType: resized.blob.type,
+        quality: resized.quality,
+      }));
+      await sendBlobToUnity(resized.blob, { ...resized, id }, opts);
+    } catch (e) {
+      reportError(opts, e, { id, name: file.name, index, count });
+    }
+  }
+
+  // Picked files go to Unity one after another, each as its own transfer
+  async function sendFilesToUnity(files, opts = settings) {
+    for (let i = 0; i < files.length; i++) {
+      await sendFileToUnity(files[i], i, files.length, opts);
     }
   }
 
@@ -248,11 +737,18 @@
 
     // Expose helpers for debugging or manual calls
     window.WebGLImagePicker = {
-      sendFileToUnity,
-      sendBase64ToUnity,
+      sendFileToUnity: queued(sendFileToUnity),
+      sendFilesToUnity: queued(sendFilesToUnity),
+      sendBase64ToUnity: queued(sendBase64ToUnity),
+      sendBlobToUnity: queued(sendBlobToUnity),
+      setTransferMode,
+      configure,
+      getOptions: () => mergeOptions(settings, {}),
+      releaseTransfer,
+      copyTransferToHeap,
     };
 
-    console.log(`WebGL Image Picker (minimal, no preview) initialized. MIN_SIZE=${MIN_SIZE}px`);
+    console.log(`WebGL Image Picker (minimal, no preview) initialized. minSize=${settings.minSize}px`);
   }
 
   (function () {
@@ -276,43 +772,50 @@
     // =========================
     // Open Native Camera
     // =========================
-    window.WebGLImagePicker_OpenCamera = async function () {
+    window.WebGLImagePicker_OpenCamera = async function (optionsJson) {
+      let opts = settings;
       try {
+        opts = mergeOptions(settings, parseOptions(optionsJson));
         const ok = await ensureCameraPermission();
         if (!ok) {
-          notifyPermissionDenied();
+          notifyPermissionDenied(opts);
           return;
         }
 
-        openFileInput(true);
+        openFileInput(true, 1, opts);
       } catch (e) {
         console.error("OpenCamera failed:", e);
+        reportError(opts, e);
       }
     };
 
     // =========================
-    // Open Gallery
+    // Open Gallery (maxCount > 1 enables multi-select)
     // =========================
-    window.WebGLImagePicker_OpenGallery = async function () {
+    window.WebGLImagePicker_OpenGallery = async function (maxCount, optionsJson) {
+      let opts = settings;
       try {
         // Dù là gallery, vẫn xin permission camera
         // để tránh browser edge-case
         //await ensureCameraPermission();
 
-        openFileInput(false);
+        opts = mergeOptions(settings, parseOptions(optionsJson));
+        const limit = Math.max(1, Math.min(MAX_SELECTION, Math.floor(Number(maxCount)) || 1));
+        openFileInput(false, limit, opts);
       } catch (e) {
         console.error("OpenGallery failed:", e);
+        reportError(opts, e);
       }
     };
 
     // =========================
     // Shared input handler
     // =========================
-    function openFileInput(useCamera) {
+    function openFileInput(useCamera, maxCount = 1, opts = settings) {
       const inp = document.createElement("input");
       inp.type = "file";
       inp.accept = "image/*";
-      inp.multiple = false;
+      inp.multiple = !useCamera && maxCount > 1;
 
       if (useCamera) {
         inp.setAttribute("capture", "environment");
@@ -321,9 +824,41 @@
       inp.style.display = "none";
       document.body.appendChild(inp);
 
+      const source = useCamera ? "camera" : "gallery";
+      // Browsers with the file input "cancel" event report a dismissed dialog
+      // exactly; older ones only get the page regaining focus with no file
+      // chosen, after a delay since change can lag behind focus
+      const hasCancelEvent = "oncancel" in inp;
+      let settled = false;
+      // OnImagePickCancelled at most once per dialog
+      const settle = (isCancel) => {
+        if (settled) return;
+        settled = true;
+        window.removeEventListener("focus", onFocus);
+        if (isCancel) {
+          sendToUnity(opts, "cancelled", JSON.stringify({ source }));
+          // A guessed cancel keeps the input so a late change still arrives
+          if (hasCancelEvent) inp.remove();
+        }
+      };
+      const onFocus = () => {
+        setTimeout(() => {
+          if (!inp.files || inp.files.length === 0) settle(true);
+        }, CANCEL_FOCUS_DELAY_MS);
+      };
+      if (hasCancelEvent) {
+        inp.addEventListener("cancel", () => settle(true), { once: true });
+      } else {
+        window.addEventListener("focus", onFocus);
+      }
+
       inp.addEventListener("change", async (ev) => {
-        const f = ev.target.files && ev.target.files[0];
-        if (f) await sendFileToUnity(f);
+        // Browsers can't cap the selection size, so extra files are dropped here
+        const files = Array.from(ev.target.files || []).slice(0, maxCount);
+        // Files are delivered even after a guessed cancel (change more than
+        // CANCEL_FOCUS_DELAY_MS after focus, e.g. a cloud photo or slow capture)
+        settle(files.length === 0);
+        if (files.length > 0) await enqueueTransfer(() => sendFilesToUnity(files, opts));
 
         inp.remove();
       }, { once: true });
@@ -331,14 +866,31 @@
       inp.click();
     }
 
-    function notifyPermissionDenied() {
-      if (typeof UnitySendMessage === "function") {
-        UnitySendMessage(
-          "ImageReceiver",
-          "OnCameraPermissionDenied",
-          ""
-        );
-      }
+    // =========================
+    // Transfer mode / binary transfers
+    // =========================
+    window.WebGLImagePicker_SetTransferMode = function (mode) {
+      return setTransferMode(mode);
+    };
+
+    // =========================
+    // Runtime options (JSON, see DEFAULT_OPTIONS); returns the effective options as JSON
+    // =========================
+    window.WebGLImagePicker_Configure = function (json) {
+      return JSON.stringify(configure(json));
+    };
+
+    window.WebGLImagePicker_CopyTransfer = function (id, ptr, length, heap) {
+      return copyTransferToHeap(id, ptr, length, heap);
+    };
+
+    window.WebGLImagePicker_ReleaseTransfer = function (id) {
+      return releaseTransfer(id);
+    };
+
+    function notifyPermissionDenied(opts) {
+      sendToUnity(opts, "permissionDenied", "");
+      reportError(opts, pickerError("permission_denied"));
     }
 
   })();
@@ -348,20 +900,47 @@
   // public class ImagePickerBridge : MonoBehaviour
   // {
   //     [DllImport("__Internal")]
-  //     private static extern void WebGLImagePicker_OpenGallery();
+  //     private static extern void WebGLImagePicker_OpenGallery(int maxCount, string optionsJson);
+
+  //     [DllImport("__Internal")]
+  //     private static extern void WebGLImagePicker_OpenCamera(string optionsJson);
+
+  //     [DllImport("__Internal")]
+  //     private static extern void WebGLImagePicker_Configure(string json);
 
   //     [DllImport("__Internal")]
-  //     private static extern void WebGLImagePicker_OpenCamera();
+  //     private static extern void WebGLImagePicker_SetTransferMode(string mode);
 
-  //     public void OpenGallery() => WebGLImagePicker_OpenGallery();
-  //     public void OpenCamera() => WebGLImagePicker_OpenCamera();
+  //     [DllImport("__Internal")]
+  //     private static extern int WebGLImagePicker_CopyTransfer(string id, byte[] buffer, int length);
+
+  //     [DllImport("__Internal")]
+  //     private static extern void WebGLImagePicker_ReleaseTransfer(string id);
+
+  //     // e.g. OpenGallery(1, "{\"format\":\"png\",\"squareCrop\":true,\"maxWidth\":256,\"maxHeight\":256}")
+  //     public void OpenGallery(int maxCount = 1, string optionsJson = "") => WebGLImagePicker_OpenGallery(maxCount, optionsJson);
+  //     public void OpenCamera(string optionsJson = "") => WebGLImagePicker_OpenCamera(optionsJson);
+  //     public void Configure(string json) => WebGLImagePicker_Configure(json);
   // }
   // mergeInto(LibraryManager.library, {
-  //   WebGLImagePicker_OpenGallery: function () {
-  //     window.WebGLImagePicker_OpenGallery();
+  //   WebGLImagePicker_OpenGallery: function (maxCount, optionsJson) {
+  //     window.WebGLImagePicker_OpenGallery(maxCount, UTF8ToString(optionsJson));
+  //   },
+  //   WebGLImagePicker_OpenCamera: function (optionsJson) {
+  //     window.WebGLImagePicker_OpenCamera(UTF8ToString(optionsJson));
+  //   },
+  //   WebGLImagePicker_Configure: function (json) {
+  //     window.WebGLImagePicker_Configure(UTF8ToString(json));
+  //   },
+  //   WebGLImagePicker_SetTransferMode: function (mode) {
+  //     window.WebGLImagePicker_SetTransferMode(UTF8ToString(mode));
+  //   },
+  //   // byte[] arrives as a pointer into HEAPU8; pass the heap explicitly
+  //   WebGLImagePicker_CopyTransfer: function (id, ptr, length) {
+  //     return window.WebGLImagePicker_CopyTransfer(UTF8ToString(id), ptr, length, HEAPU8);
   //   },
-  //   WebGLImagePicker_OpenCamera: function () {
-  //     window.WebGLImagePicker_OpenCamera();
+  //   WebGLImagePicker_ReleaseTransfer: function (id) {
+  //     window.WebGLImagePicker_ReleaseTransfer(UTF8ToString(id));
   //   }
   // });
 
@@ -1,40 +1,78 @@
-const express = require("express");
-const path = require("path");
-const fs = require("fs");
+const { loadConfig, describeConfig, ConfigError } = require("./lib/config");
+const { createServer, localHosts } = require("./lib/transport");
+const { createApp } = require("./lib/app");
 
-const app = express();
-const PORT = 8080;
-const ROOT = path.join(__dirname, "public");
-const BUILD = path.join(ROOT, "Build");
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  if (!(e instanceof ConfigError)) throw e;
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+if (config.help) {
+  console.log(config.usage);
+  process.exit(0);
+}
 
-// ===== Serve Unity WebGL gzip files DIRECTLY =====
-app.get("/Build/:file", (req, res) => {
-  const file = req.params.file;
-  const filePath = path.join(BUILD, file);
+const { app, metrics, startDraining } = createApp(config);
+const PORT = config.port;
 
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).send("Not found");
+// Shutdown in two steps: for config.drainDelay seconds keep serving, with
+// /healthz answering 503 so load balancers take this instance out of rotation;
+// then stop accepting connections and let in-flight requests finish. Idle
+// keep-alive connections are closed right away; HTTP/2 sessions get a GOAWAY.
+// A second SIGTERM / SIGINT (e.g. Ctrl-C again) exits at once.
+let draining = false;
+function shutdown(server, sessions, signal) {
+  if (draining) {
+    console.error(`❌ ${signal} received again, exiting with ${metrics.inFlight()} request(s) in flight`);
+    process.exit(1);
   }
+  draining = true;
+  startDraining();
+  console.log(`${signal} received, draining for ${config.drainDelay}s (${metrics.inFlight()} request(s) in flight)`);
 
-  // Set headers ONLY for .gz files
-  if (file.endsWith(".gz")) {
-    res.setHeader("Content-Encoding", "gzip");
+  setTimeout(() => {
+    console.log(`Closing listener, waiting up to ${config.shutdownTimeout}s for ${metrics.inFlight()} in-flight request(s)`);
+    server.close(() => {
+      console.log("👋 All connections closed");
+      process.exit(0);
+    });
+    if (server.closeIdleConnections) server.closeIdleConnections();
+    sessions.forEach((session) => session.close());
 
-    if (file.endsWith(".framework.js.gz") || file.endsWith(".loader.js.gz")) {
-      res.setHeader("Content-Type", "application/javascript");
-    } else if (file.endsWith(".wasm.gz")) {
-      res.setHeader("Content-Type", "application/wasm");
-    } else if (file.endsWith(".data.gz")) {
-      res.setHeader("Content-Type", "application/octet-stream");
-    }
-  }
-
-  res.sendFile(filePath);
-});
+    setTimeout(() => {
+      console.error(`❌ Shutdown timeout: ${metrics.inFlight()} request(s) still in flight`);
+      process.exit(1);
+    }, config.shutdownTimeout * 1000).unref();
+  }, config.drainDelay * 1000);
+}
 
-// ===== Serve index.html, loader.js, TemplateData =====
-app.use(express.static(ROOT));
+createServer(app, config)
+  .then(({ server, scheme, credentials }) => {
+    const sessions = new Set();
+    server.on("session", (session) => {
+      sessions.add(session);
+      session.on("close", () => sessions.delete(session));
+    });
+    process.on("SIGTERM", () => shutdown(server, sessions, "SIGTERM"));
+    process.on("SIGINT", () => shutdown(server, sessions, "SIGINT"));
 
-app.listen(PORT, () => {
-  console.log(`🚀 Unity WebGL (gzip-direct) running at http://localhost:${PORT}`);
-});
+    server.listen(PORT, config.host, () => {
+      console.log(`🚀 Unity WebGL (gzip/brotli-direct) running at ${scheme}://localhost:${PORT}`);
+      if (config.host === "0.0.0.0" || config.host === "::") {
+        localHosts()
+          .filter((h) => /^\d+\.\d+\.\d+\.\d+$/.test(h) && h !== "127.0.0.1")
+          .forEach((h) => console.log(`   LAN: ${scheme}://${h}:${PORT}`));
+      }
+      if (credentials && credentials.selfSigned) {
+        console.log("🔐 Using a self-signed development certificate (accept the browser warning once per device)");
+      }
+      console.log(`Effective configuration:\n${describeConfig(config)}`);
+    });
+  })
+  .catch((err) => {
+    console.error("❌ Failed to start server:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const zlib = require("zlib");
+const { loadConfig } = require("../lib/config");
+const { createApp } = require("../lib/app");
+
+const DATA = Buffer.from("unity data ".repeat(2000));
+
+async function startServer(t, argv = []) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "webgl-app-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const build = path.join(root, "public", "Build");
+  const versioned = path.join(root, "builds", "game", "1.0");
+  for (const dir of [build, versioned]) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(path.join(build, "4.4.data.gz"), zlib.gzipSync(DATA));
+  fs.writeFileSync(path.join(build, "game.data.gz"), zlib.gzipSync(DATA));
+  fs.writeFileSync(path.join(build, "game.data.br"), zlib.brotliCompressSync(DATA));
+  fs.writeFileSync(path.join(build, "game.wasm"), DATA);
+  fs.writeFileSync(path.join(versioned, "game.data.gz"), zlib.gzipSync(DATA));
+  for (const file of ["game.loader.js", "game.framework.js", "game.wasm"]) {
+    fs.writeFileSync(path.join(versioned, file), "x");
+  }
+  fs.mkdirSync(path.join(versioned, "StreamingAssets", "Videos"), { recursive: true });
+  fs.writeFileSync(path.join(versioned, "StreamingAssets", "Videos", "intro.mp4"), "mp4");
+
+  const config = loadConfig(
+    ["--public-dir", path.join(root, "public"), "--builds-dir", path.join(root, "builds"), "--access-log", "off", ...argv],
+    {}
+  );
+  const server = createApp(config).app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Raw bytes: fetch() would undo the Content-Encoding under test
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      })
+      .on("error", reject);
+  });
+}
+
+test("precompressed files pass through when the client accepts the encoding", async (t) => {
+  const base = await startServer(t);
+
+  const gzip = await get(`${base}/Build/game.data.gz`, { "Accept-Encoding": "gzip" });
+  assert.equal(gzip.status, 200);
+  assert.equal(gzip.headers["content-encoding"], "gzip");
+  assert.equal(gzip.headers["content-type"], "application/octet-stream");
+  assert.equal(gzip.headers.vary, "Accept-Encoding");
+  assert.deepEqual(zlib.gunzipSync(gzip.body), DATA);
+
+  const br = await get(`${base}/Build/game.data.br`, { "Accept-Encoding": "gzip, br" });
+  assert.equal(br.headers["content-encoding"], "br");
+  assert.deepEqual(zlib.brotliDecompressSync(br.body), DATA);
+
+  const plain = await get(`${base}/Build/game.wasm`, { "Accept-Encoding": "gzip" });
+  assert.equal(plain.headers["content-type"], "application/wasm");
+  assert.equal(plain.headers["content-encoding"], undefined);
+  assert.equal(plain.headers.vary, undefined);
+});
+
+test("files are decoded for clients without the encoding, or when it is disabled", async (t) => {
+  const base = await startServer(t, ["--encodings", "gzip"]);
+
+  const cases = [
+    ["game.data.gz", "identity"],
+    ["game.data.br", "gzip, br"],
+  ];
+  for (const [file, acceptEncoding] of cases) {
+    const res = await get(`${base}/Build/${file}`, { "Accept-Encoding": acceptEncoding });
+    assert.equal(res.status, 200, file);
+    assert.equal(res.headers["content-encoding"], undefined, file);
+    assert.equal(res.headers["accept-ranges"], "none", file);
+    assert.equal(res.headers.vary, "Accept-Encoding", file);
+    assert.match(res.headers.etag, /-identity"$/, file);
+    assert.deepEqual(res.body, DATA, file);
+  }
+});
+
+test("ranges of the precompressed bytes are answered with 206", async (t) => {
+  const base = await startServer(t);
+  const full = await get(`${base}/Build/game.data.gz`, { "Accept-Encoding": "gzip" });
+
+  const part = await get(`${base}/Build/game.data.gz`, { "Accept-Encoding": "gzip", Range: "bytes=10-19" });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers["content-range"], `bytes 10-19/${full.body.length}`);
+  assert.equal(part.headers["content-encoding"], "gzip");
+  assert.deepEqual(part.body, full.body.subarray(10, 20));
+});
+
+test("both representations answer If-None-Match with 304 and keep distinct ETags", async (t) => {
+  const base = await startServer(t);
+  const url = `${base}/Build/game.data.gz`;
+
+  const encoded = await get(url, { "Accept-Encoding": "gzip" });
+  const decoded = await get(url, { "Accept-Encoding": "identity" });
+  assert.notEqual(encoded.headers.etag, decoded.headers.etag);
+  assert.ok(encoded.headers["last-modified"]);
+
+  const cases = [
+    ["gzip", encoded.headers.etag],
+    ["identity", decoded.headers.etag],
+  ];
+  for (const [acceptEncoding, etag] of cases) {
+    const res = await get(url, { "Accept-Encoding": acceptEncoding, "If-None-Match": etag });
+    assert.equal(res.status, 304, acceptEncoding);
+    assert.equal(res.body.length, 0, acceptEncoding);
+  }
+  // One representation's tag must not validate the other
+  const mixed = await get(url, { "Accept-Encoding": "identity", "If-None-Match": encoded.headers.etag });
+  assert.equal(mixed.status, 200);
+});
+
+test("versioned files are immutable, the rest revalidate", async (t) => {
+  const base = await startServer(t, ["--immutable-max-age", "600"]);
+  const cacheControl = async (url) => (await get(base + url, { "Accept-Encoding": "gzip" })).headers["cache-control"];
+
+  assert.equal(await cacheControl("/Build/4.4.data.gz"), "public, max-age=600, immutable");
+  assert.equal(await cacheControl("/builds/game/1.0/game.data.gz"), "public, max-age=600, immutable");
+  assert.equal(await cacheControl("/Build/game.data.gz"), "no-cache");
+});
+
+test("build routes reject traversal and non-build files", async (t) => {
+  const base = await startServer(t);
+  assert.equal((await get(`${base}/Build/%2e%2e%2fBuild%2fgame.wasm`)).status, 400);
+  assert.equal((await get(`${base}/Build/index.html`)).status, 404);
+  assert.equal((await get(`${base}/builds/game/1.0/missing.data`)).status, 404);
+});
+
+test("the loader page is a 404 for a version that doesn't exist", async (t) => {
+  const base = await startServer(t);
+  assert.equal((await get(`${base}/play/game/1.0`)).status, 200);
+  const page = await get(`${base}/play/game/9.9`);
+  assert.equal(page.status, 404);
+  assert.match(page.body.toString(), /Build \\"game 9.9\\" is not available/);
+});
+
+test("a deployed build's own StreamingAssets are served and used by its page", async (t) => {
+  const base = await startServer(t, ["--immutable-max-age", "600"]);
+  const asset = await get(`${base}/builds/game/1.0/StreamingAssets/Videos/intro.mp4`);
+  assert.equal(asset.status, 200);
+  assert.equal(asset.headers["content-type"], "video/mp4");
+  assert.equal(asset.headers["cache-control"], "public, max-age=600, immutable");
+  assert.equal(asset.body.toString(), "mp4");
+
+  assert.equal((await get(`${base}/builds/game/1.0/StreamingAssets/missing.mp4`)).status, 404);
+  assert.equal((await get(`${base}/builds/game/1.0/StreamingAssets/Videos`)).status, 404);
+  assert.equal((await get(`${base}/builds/game/1.0/StreamingAssets/%2e%2e%2f%2e%2e%2fgame.wasm`)).status, 400);
+
+  const page = await get(`${base}/play/game/1.0`);
+  assert.match(page.body.toString(), /"streamingAssetsUrl":"builds\/game\/1.0\/StreamingAssets"/);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { loadConfig, describeConfig, ConfigError } = require("../lib/config");
+
+function writeConfigFile(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webgl-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "server.json");
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test("defaults apply without flags, env or config file", () => {
+  const config = loadConfig([], {});
+  assert.equal(config.port, 8080);
+  assert.equal(config.protocol, "http");
+  assert.deepEqual(config.encodings, ["gzip", "br"]);
+  assert.equal(config.buildDir, path.join(config.publicDir, "Build"));
+});
+
+test("precedence is defaults < config file < environment < flags", (t) => {
+  const file = writeConfigFile(t, { port: 9000, host: "127.0.0.1", staticMaxAge: 60 });
+  const env = { WEBGL_CONFIG: file, PORT: "9100" };
+
+  let config = loadConfig([], env);
+  assert.equal(config.port, 9100);
+  assert.equal(config.host, "127.0.0.1");
+  assert.equal(config.staticMaxAge, 60);
+
+  config = loadConfig(["--port", "9200"], env);
+  assert.equal(config.port, 9200);
+
+  // WEBGL_PORT wins over PORT
+  config = loadConfig([], { ...env, WEBGL_PORT: "9300" });
+  assert.equal(config.port, 9300);
+});
+
+test("config file paths resolve against the file's directory", (t) => {
+  const file = writeConfigFile(t, { uploadDir: "images" });
+  assert.equal(loadConfig(["--config", file], {}).uploadDir, path.join(path.dirname(file), "images"));
+  assert.equal(loadConfig(["--upload-dir", "images"], {}).uploadDir, path.resolve("images"));
+});
+
+test("invalid values are rejected with ConfigError", (t) => {
+  const invalid = [
+    [["--port", "70000"], {}],
+    [["--protocol", "ftp"], {}],
+    [["--encodings", "gzip,zstd"], {}],
+    [[], { WEBGL_CROSS_ORIGIN_ISOLATION: "maybe" }],
+    [["--tls-cert", __filename], {}],
+    [["--public-dir", path.join(os.tmpdir(), "does-not-exist-webgl")], {}],
+    [["--no-such-flag"], {}],
+    [["--config", writeConfigFile(t, { prot: "http" })], {}],
+  ];
+  for (const [argv, env] of invalid) {
+    assert.throws(() => loadConfig(argv, env), ConfigError, `${argv.join(" ")} ${JSON.stringify(env)}`);
+  }
+});
+
+test("--help returns usage instead of a config", () => {
+  const config = loadConfig(["--help"], {});
+  assert.equal(config.help, true);
+  assert.match(config.usage, /--deploy-token/);
+});
+
+test("describeConfig never prints the deploy token", () => {
+  const text = describeConfig(loadConfig(["--deploy-token", "s3cret"], {}));
+  assert.doesNotMatch(text, /s3cret/);
+  assert.match(text, /deployToken\s+\(set\)/);
+});
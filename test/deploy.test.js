@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const zlib = require("zlib");
+const express = require("express");
+const yazl = require("yazl");
+const { createDeployRouter } = require("../lib/deploy");
+const { errorHandler } = require("../lib/errors");
+
+const TOKEN = "test-token";
+
+function makeZip(files) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    for (const [name, data] of Object.entries(files)) {
+      zip.addBuffer(Buffer.from(data), name);
+    }
+    zip.end();
+    const chunks = [];
+    zip.outputStream.on("data", (chunk) => chunks.push(chunk));
+    zip.outputStream.on("end", () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on("error", reject);
+  });
+}
+
+// A full WebGL export: only Build/ and StreamingAssets/ are deployed
+const EXPORT = {
+  "WebGL/index.html": "<html>",
+  "WebGL/TemplateData/style.css": "body {}",
+  "WebGL/StreamingAssets/video_loading.mp4": "mp4",
+  "WebGL/StreamingAssets/Videos/intro.txt": "intro",
+  "WebGL/Build/game.loader.js": "var loader;",
+  "WebGL/Build/game.framework.js": "var framework;".repeat(100),
+  "WebGL/Build/game.wasm.gz": zlib.gzipSync(Buffer.alloc(1000, 1)),
+  "WebGL/Build/game.data": Buffer.alloc(2000, 2),
+  "WebGL/Build/build.json": JSON.stringify({ productName: "Game" }),
+  "__MACOSX/WebGL/Build/._game.loader.js": "resource fork",
+};
+
+async function startServer(t, overrides = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "webgl-deploy-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const config = {
+    buildDir: path.join(root, "Build"),
+    buildsDir: path.join(root, "builds"),
+    deployToken: TOKEN,
+    deployMaxBytes: 1024 * 1024,
+    deployMaxUnpackedBytes: 1024 * 1024,
+    ...overrides,
+  };
+  const app = express();
+  app.use("/api/deploy", createDeployRouter(config));
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.mock.method(console, "log", () => {});
+
+  const base = `http://127.0.0.1:${server.address().port}/api/deploy`;
+  const request = async (url, { body, token = TOKEN } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(base + url, { method: body === undefined ? "GET" : "POST", headers, body });
+    return { status: response.status, body: await response.json() };
+  };
+  return { config, request };
+}
+
+test("deploy unpacks, precompresses and activates a build", async (t) => {
+  const { config, request } = await startServer(t);
+  const { status, body } = await request("/game/1.0", { body: await makeZip(EXPORT) });
+
+  assert.equal(status, 201);
+  assert.deepEqual(body.files, [
+    "build.json",
+    "game.data",
+    "game.data.br",
+    "game.data.gz",
+    "game.framework.js",
+    "game.framework.js.br",
+    "game.framework.js.gz",
+    "game.loader.js",
+    "game.wasm.br",
+    "game.wasm.gz",
+  ]);
+  assert.deepEqual(body.generated.sort(), [
+    "game.data.br",
+    "game.data.gz",
+    "game.framework.js.br",
+    "game.framework.js.gz",
+    "game.wasm.br",
+  ]);
+  assert.equal(body.streamingAssets, 2);
+  assert.equal(body.active.name, "game");
+  assert.equal(body.active.version, "1.0");
+
+  const dir = path.join(config.buildsDir, "game", "1.0");
+  assert.equal(fs.readFileSync(path.join(dir, "StreamingAssets", "video_loading.mp4"), "utf8"), "mp4");
+  assert.equal(fs.readFileSync(path.join(dir, "StreamingAssets", "Videos", "intro.txt"), "utf8"), "intro");
+  const data = fs.readFileSync(path.join(dir, "game.data"));
+  assert.deepEqual(zlib.gunzipSync(fs.readFileSync(path.join(dir, "game.data.gz"))), data);
+  assert.deepEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(dir, "game.data.br"))), data);
+  assert.deepEqual(fs.readdirSync(path.join(config.buildsDir, ".staging")), []);
+});
+
+test("StreamingAssets next to bare build files is deployed too", async (t) => {
+  const { config, request } = await startServer(t);
+  const zip = await makeZip({
+    "game.loader.js": "var loader;",
+    "game.framework.js": "var framework;",
+    "game.wasm": "wasm",
+    "game.data": "data",
+    "StreamingAssets/a.txt": "a",
+    "Other/StreamingAssets/b.txt": "b",
+  });
+  const { status, body } = await request("/game/1.0", { body: zip });
+  assert.equal(status, 201);
+  assert.equal(body.streamingAssets, 1);
+  assert.deepEqual(fs.readdirSync(path.join(config.buildsDir, "game", "1.0", "StreamingAssets")), ["a.txt"]);
+});
+
+test("activate and rollback switch the default build", async (t) => {
+  const { request } = await startServer(t);
+  const zip = await makeZip(EXPORT);
+  await request("/game/1.0", { body: zip });
+  const staged = await request("/game/2.0?activate=false", { body: zip });
+  assert.equal(staged.body.active.version, "1.0");
+
+  let result = await request("/game/2.0/activate", { body: "" });
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.active.previous, { name: "game", version: "1.0" });
+
+  result = await request("/rollback", { body: "" });
+  assert.equal(result.body.active.version, "1.0");
+  assert.equal((await request("/")).body.default.version, "1.0");
+
+  result = await request("/game/9.9/activate", { body: "" });
+  assert.equal(result.status, 404);
+});
+
+test("deploy rejects bad uploads", async (t) => {
+  const { request } = await startServer(t);
+  const withoutWasm = { ...EXPORT };
+  delete withoutWasm["WebGL/Build/game.wasm.gz"];
+
+  const cases = [
+    [await makeZip(withoutWasm), 400, "missing_files"],
+    [await makeZip({ "a/game.loader.js": "x", "b/game.loader.js": "x" }), 400, "ambiguous_build"],
+    [await makeZip({ ...EXPORT, "WebGL/Build/other.data": "x" }), 400, "ambiguous_build"],
+    [await makeZip({ ...EXPORT, "WebGL/Build/game.wasm.gz": "not gzip" }), 400, "invalid_compression"],
+    [Buffer.from("not a zip"), 400, "invalid_zip"],
+    [Buffer.alloc(0), 400, "empty_body"],
+    [Buffer.alloc(2 * 1024 * 1024), 413, "payload_too_large"],
+    [await makeZip({ ...EXPORT, "WebGL/Build/game.data": Buffer.alloc(2 * 1024 * 1024) }), 413, "unpacked_too_large"],
+  ];
+  for (const [body, status, code] of cases) {
+    const result = await request("/game/1.0", { body });
+    assert.equal(result.status, status, code);
+    assert.equal(result.body.error.code, code);
+  }
+
+  assert.equal((await request("/game/1.0", { body: await makeZip(EXPORT) })).status, 201);
+  const again = await request("/game/1.0", { body: await makeZip(EXPORT) });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error.code, "build_exists");
+
+  assert.equal((await request("/bad..name/1.0", { body: "x" })).body.error.code, "invalid_path");
+});
+
+test("deploy needs the token", async (t) => {
+  const { request } = await startServer(t);
+  assert.equal((await request("/")).status, 200);
+  assert.equal((await request("/", { token: null })).status, 401);
+  assert.equal((await request("/", { token: "wrong" })).body.error.code, "unauthorized");
+
+  const disabled = await startServer(t, { deployToken: null });
+  assert.equal((await disabled.request("/")).body.error.code, "deploy_disabled");
+});
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const express = require("express");
+const { HttpError, notFound, errorHandler } = require("../lib/errors");
+
+test("errors share one JSON shape", async (t) => {
+  const app = express();
+  app.get("/teapot", () => {
+    throw new HttpError(400, "invalid_path", "Invalid file name");
+  });
+  app.get("/crash", () => {
+    throw new Error("secret detail");
+  });
+  // send's 404 carries the fs error, with the absolute path
+  app.get("/gone", (req, res, next) => {
+    res.sendFile(path.join(__dirname, "no-such-file.data"), next);
+  });
+  app.get("/parser", () => {
+    throw Object.assign(new Error("Unexpected token } in JSON at /srv/app"), { status: 400 });
+  });
+  app.use(notFound);
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const cases = [
+    ["/teapot", { status: 400, code: "invalid_path", message: "Invalid file name" }],
+    ["/missing", { status: 404, code: "not_found", message: "Not found" }],
+    ["/crash", { status: 500, code: "internal_error", message: "Internal server error" }],
+    ["/gone", { status: 404, code: "not_found", message: "Not found" }],
+    ["/parser", { status: 400, code: "bad_request", message: "Bad request" }],
+  ];
+  t.mock.method(console, "error", () => {});
+  for (const [url, error] of cases) {
+    const response = await fetch(base + url);
+    assert.equal(response.status, error.status);
+    assert.equal(response.headers.get("cache-control"), "no-store");
+    assert.deepEqual(await response.json(), { error });
+  }
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http2 = require("http2");
+const express = require("express");
+const { http2Handler } = require("../lib/http2-express");
+const { HttpError, notFound, errorHandler } = require("../lib/errors");
+
+function get(client, path) {
+  return new Promise((resolve, reject) => {
+    const stream = client.request({ ":path": path });
+    let headers;
+    let body = "";
+    stream.setEncoding("utf8");
+    stream.on("response", (h) => (headers = h));
+    stream.on("data", (chunk) => (body += chunk));
+    stream.on("end", () => resolve({ status: headers[":status"], headers, body }));
+    stream.on("error", reject);
+  });
+}
+
+test("express routes, helpers and JSON errors work over HTTP/2", async (t) => {
+  const app = express();
+  app.get("/hello/:name", (req, res) => {
+    res.set("X-Protocol", req.httpVersion).json({ name: req.params.name, query: req.query.q });
+  });
+  app.get("/fail", () => {
+    throw new HttpError(400, "invalid_path", "Invalid file name");
+  });
+  app.use(notFound);
+  app.use(errorHandler);
+
+  // h2c: the adapter doesn't care about TLS
+  const server = http2.createServer(http2Handler(app));
+  server.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const client = http2.connect(`http://127.0.0.1:${server.address().port}`);
+  t.after(() => client.close());
+
+  const hello = await get(client, "/hello/unity?q=1");
+  assert.equal(hello.status, 200);
+  assert.equal(hello.headers["x-protocol"], "2.0");
+  assert.match(hello.headers["content-type"], /^application\/json/);
+  assert.deepEqual(JSON.parse(hello.body), { name: "unity", query: "1" });
+
+  const fail = await get(client, "/fail");
+  assert.equal(fail.status, 400);
+  assert.deepEqual(JSON.parse(fail.body), {
+    error: { status: 400, code: "invalid_path", message: "Invalid file name" },
+  });
+
+  const missing = await get(client, "/nope");
+  assert.equal(missing.status, 404);
+  assert.equal(JSON.parse(missing.body).error.code, "not_found");
+});
+
+test("requests the app leaves unanswered still get a JSON response", async (t) => {
+  // No notFound / errorHandler of its own: the adapter's final handler answers
+  const app = express();
+  app.get("/boom", (req, res, next) => next(new HttpError(409, "conflict", "Busy")));
+
+  const server = http2.createServer(http2Handler(app));
+  server.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const client = http2.connect(`http://127.0.0.1:${server.address().port}`);
+  t.after(() => client.close());
+
+  assert.deepEqual(JSON.parse((await get(client, "/boom")).body), {
+    error: { status: 409, code: "conflict", message: "Busy" },
+  });
+  assert.equal((await get(client, "/other")).status, 404);
+});
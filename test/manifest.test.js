@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { resolveBuildFile, buildFileRole, listBuilds, findBuild, writeActive } = require("../lib/manifest");
+const { HttpError } = require("../lib/errors");
+
+const DIR = path.join(os.tmpdir(), "webgl-build");
+
+function rejects(file, status, code) {
+  assert.throws(
+    () => resolveBuildFile(DIR, file),
+    (err) => err instanceof HttpError && err.status === status && err.code === code,
+    `${JSON.stringify(file)} should be rejected with ${status}`
+  );
+}
+
+test("resolveBuildFile rejects traversal and path separators", () => {
+  for (const file of ["", ".", "..", "../4.4.data", "..\\4.4.data", "a/4.4.data", "/etc/4.4.data", "4.4.data\0"]) {
+    rejects(file, 400, "invalid_path");
+  }
+});
+
+test("resolveBuildFile only serves Unity build artifacts", () => {
+  for (const file of ["index.html", "build.json", "4.4.data.zip", "passwd"]) {
+    rejects(file, 404, "not_found");
+  }
+});
+
+test("resolveBuildFile resolves allowed names inside the directory", () => {
+  for (const file of ["4.4.loader.js", "4.4.loader.js.gz", "4.4.framework.js.br", "4.4.wasm", "4.4.data.gz", "4.4.symbols.json.br"]) {
+    assert.equal(resolveBuildFile(DIR, file), path.join(DIR, file));
+  }
+});
+
+test("buildFileRole maps file names to roles", () => {
+  assert.equal(buildFileRole("4.4.loader.js"), "loader");
+  assert.equal(buildFileRole("4.4.loader.js.br"), "loader");
+  assert.equal(buildFileRole("4.4.framework.js.gz"), "framework");
+  assert.equal(buildFileRole("4.4.wasm.br"), "code");
+  assert.equal(buildFileRole("4.4.data"), "data");
+  assert.equal(buildFileRole("4.4.symbols.json"), "symbols");
+  assert.equal(buildFileRole("4.4.js"), null);
+});
+
+test("listBuilds defaults to the active build, newest version otherwise", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "webgl-builds-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const version of ["1.2", "1.10"]) {
+    const dir = path.join(root, "game", version);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of ["g.loader.js", "g.framework.js", "g.wasm", "g.data"]) {
+      fs.writeFileSync(path.join(dir, file), "x");
+    }
+  }
+  fs.mkdirSync(path.join(root, "game", "incomplete"));
+  fs.mkdirSync(path.join(root, "game", "1.10", "StreamingAssets"));
+
+  const list = () => listBuilds({ legacyDir: path.join(root, "none"), buildsDir: root, preferred: [] });
+  assert.deepEqual(list().builds.map((b) => b.version), ["1.10", "1.2"]);
+  assert.deepEqual(list().default, { name: "game", version: "1.10" });
+  assert.deepEqual(
+    list().builds.map((b) => b.streamingAssetsUrl),
+    ["builds/game/1.10/StreamingAssets", "StreamingAssets"]
+  );
+
+  writeActive(root, { name: "game", version: "1.2", previous: null });
+  assert.deepEqual(list().default, { name: "game", version: "1.2" });
+});
+
+test("findBuild never swaps in another version", () => {
+  const manifest = {
+    default: { name: "game", version: "1.2" },
+    builds: [
+      { name: "default", version: "current" },
+      { name: "game", version: "1.10" },
+      { name: "game", version: "1.2" },
+    ],
+  };
+  const find = (name, version) => {
+    const build = findBuild(manifest, name, version);
+    return build && `${build.name}/${build.version}`;
+  };
+  assert.equal(find(), "game/1.2");
+  assert.equal(find(undefined, "1.10"), "game/1.10");
+  assert.equal(find("game"), "game/1.10");
+  assert.equal(find("game", "1.2"), "game/1.2");
+  assert.equal(find("default", "current"), "default/current");
+  assert.equal(find("game", "9.9"), null);
+  assert.equal(find("default", "9.9"), null);
+  assert.equal(find(undefined, "9.9"), null);
+  assert.equal(find("other"), null);
+  assert.equal(findBuild({ default: null, builds: [] }), null);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { loadConfig } = require("../lib/config");
+const { createApp } = require("../lib/app");
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(92, 7)]);
+const JPEG = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(96, 7)]);
+
+async function startServer(t, argv = []) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "webgl-uploads-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, "public"));
+  const config = loadConfig(
+    ["--public-dir", path.join(root, "public"), "--upload-dir", path.join(root, "uploads"), "--access-log", "off", ...argv],
+    {}
+  );
+  const server = createApp(config).app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}/api/images`;
+  const upload = async (body, type = "image/png") => {
+    const response = await fetch(base, { method: "POST", headers: { "Content-Type": type }, body });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+  return { config, base, upload };
+}
+
+test("uploaded images are stored and served back", async (t) => {
+  const { config, base, upload } = await startServer(t);
+  const created = await upload(PNG);
+  assert.equal(created.status, 201);
+  assert.match(created.body.id, /^[0-9a-f]{32}$/);
+  assert.equal(created.body.size, PNG.length);
+  assert.equal(created.body.mimeType, "image/png");
+  assert.equal(created.headers.get("location"), `/api/images/${created.body.id}`);
+  assert.deepEqual(fs.readdirSync(config.uploadDir), [`${created.body.id}.png`]);
+
+  const response = await fetch(`${base}/${created.body.id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("content-type"), "image/png");
+  assert.match(response.headers.get("cache-control"), /immutable/);
+  assert.deepEqual(Buffer.from(await response.arrayBuffer()), PNG);
+
+  for (const id of ["0".repeat(32), "not-an-id", "..%2F..%2Fpackage.json"]) {
+    assert.equal((await fetch(`${base}/${id}`)).status, 404, id);
+  }
+});
+
+test("uploads are checked for type, content and size", async (t) => {
+  const { config, upload } = await startServer(t, ["--upload-max-bytes", "1000"]);
+  const cases = [
+    [PNG, "image/gif", 415, "unsupported_media_type"],
+    [PNG, "application/octet-stream", 415, "unsupported_media_type"],
+    [JPEG, "image/png", 415, "type_mismatch"],
+    [Buffer.from("<svg/>"), "image/jpeg", 415, "type_mismatch"],
+    [Buffer.alloc(0), "image/png", 400, "empty_body"],
+    [Buffer.concat([PNG, Buffer.alloc(1000)]), "image/png", 413, "payload_too_large"],
+  ];
+  for (const [body, type, status, code] of cases) {
+    const result = await upload(body, type);
+    assert.equal(result.status, status, `${type} ${code}`);
+    assert.equal(result.body.error.code, code);
+  }
+  assert.equal((await upload(JPEG, "image/jpeg; charset=binary")).status, 201);
+  assert.equal(fs.readdirSync(config.uploadDir).length, 1);
+});
+
+test("uploads past the per-minute limit get 429 with Retry-After", async (t) => {
+  const { upload } = await startServer(t, ["--upload-rate-limit", "2"]);
+  assert.equal((await upload(PNG)).status, 201);
+  // Rejected uploads count too
+  assert.equal((await upload(PNG, "text/plain")).status, 415);
+
+  const limited = await upload(PNG);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error.code, "too_many_requests");
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  assert.ok(retryAfter > 0 && retryAfter <= 60, String(retryAfter));
+});
+
+test("uploads beyond the storage quota get 507", async (t) => {
+  const { config, upload } = await startServer(t, ["--upload-quota-bytes", "250"]);
+  assert.equal((await upload(PNG)).status, 201);
+  assert.equal((await upload(PNG)).status, 201);
+
+  const full = await upload(PNG);
+  assert.equal(full.status, 507);
+  assert.deepEqual(full.body.error, { status: 507, code: "quota_exceeded", message: "Image storage quota reached" });
+  assert.equal(fs.readdirSync(config.uploadDir).length, 2);
+});